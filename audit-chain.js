@@ -0,0 +1,175 @@
+/**
+ * Secure Bin Cycle Count - Audit Chain
+ *
+ * Makes the audit log tamper-evident. Each entry carries a sequence number,
+ * the hash of the entry before it and its own SHA-256 hash (WebCrypto), so
+ * editing, removing or reordering an entry breaks every link after it.
+ * Exported logs keep these fields and can be re-verified offline.
+ */
+
+// ==========================================
+// HASHING
+// ==========================================
+
+/** prevHash of the first entry in a chain */
+const GENESIS_HASH = '0'.repeat(64);
+
+/** Entry fields covered by the hash, in the order they are serialized */
+const AUDIT_HASH_FIELDS = ['logId', 'seq', 'timestamp', 'sessionId', 'user', 'userId', 'action', 'details', 'prevHash'];
+
+/**
+ * JSON with object keys sorted at every level, so the same entry always
+ * serializes to the same text (after export and re-import too)
+ */
+function canonicalJson(value) {
+  if (value && typeof value.toJSON === 'function') return canonicalJson(value.toJSON());
+  if (Array.isArray(value)) {
+    return '[' + value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',') + ']';
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).sort().filter(key => value[key] !== undefined && typeof value[key] !== 'function');
+    return '{' + keys.map(key => JSON.stringify(key) + ':' + canonicalJson(value[key])).join(',') + '}';
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * The text an entry's hash is computed over
+ */
+function auditEntryPayload(entry) {
+  const fields = {};
+  AUDIT_HASH_FIELDS.forEach(field => {
+    fields[field] = entry[field] === undefined ? null : entry[field];
+  });
+  return canonicalJson(fields);
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hashAuditEntry(entry) {
+  return sha256Hex(auditEntryPayload(entry));
+}
+
+// ==========================================
+// CHAINING
+// ==========================================
+
+/**
+ * Returns the chained entry with the highest sequence number, or null.
+ * Entries written before the chain existed have no seq and are skipped.
+ */
+function lastChainedEntry(entries) {
+  return entries.reduce((last, entry) =>
+    typeof entry.seq === 'number' && (!last || entry.seq > last.seq) ? entry : last, null);
+}
+
+/**
+ * Links an entry to the previous chained entry and hashes it
+ */
+async function chainAuditEntry(entry, previous) {
+  const linked = {
+    ...entry,
+    seq: previous ? previous.seq + 1 : 1,
+    prevHash: previous ? previous.hash : GENESIS_HASH
+  };
+  return { ...linked, hash: await hashAuditEntry(linked) };
+}
+
+// ==========================================
+// VERIFICATION
+// ==========================================
+
+/**
+ * Walks the chain in sequence order and reports the first broken link.
+ * hashes maps logId to the hash recomputed from each entry's contents.
+ *
+ * Returns { valid, checked, unchained, headHash } or, when broken,
+ * { valid: false, checked, unchained, brokenAt: { seq, logId, action, timestamp }, reason }.
+ */
+function findChainBreak(entries, hashes) {
+  const chained = entries.filter(entry => typeof entry.seq === 'number').sort((a, b) => a.seq - b.seq);
+  const unchained = entries.length - chained.length;
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < chained.length; i++) {
+    const entry = chained[i];
+    const expectedSeq = i + 1;
+    let reason = null;
+
+    if (entry.seq > expectedSeq) {
+      reason = `Entry #${expectedSeq}${expectedSeq < entry.seq - 1 ? '-' + (entry.seq - 1) : ''} is missing`;
+    } else if (entry.seq < expectedSeq) {
+      reason = `Entry #${entry.seq} appears more than once`;
+    } else if (entry.prevHash !== prevHash) {
+      reason = `Previous-entry hash does not match entry #${entry.seq - 1}`;
+    } else if (hashes[entry.logId] !== entry.hash) {
+      reason = 'Entry contents were changed after it was written';
+    }
+
+    if (reason) {
+      return {
+        valid: false,
+        checked: i,
+        unchained: unchained,
+        brokenAt: { seq: entry.seq, logId: entry.logId, action: entry.action, timestamp: entry.timestamp },
+        reason: reason
+      };
+    }
+    prevHash = entry.hash;
+  }
+
+  return { valid: true, checked: chained.length, unchained: unchained, headHash: prevHash };
+}
+
+/**
+ * Recomputes every entry's hash and checks the chain
+ */
+async function verifyAuditChain(entries) {
+  const hashes = {};
+  for (const entry of entries) {
+    if (typeof entry.seq === 'number') hashes[entry.logId] = await hashAuditEntry(entry);
+  }
+  return findChainBreak(entries, hashes);
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GENESIS_HASH,
+    AUDIT_HASH_FIELDS,
+    canonicalJson,
+    auditEntryPayload,
+    sha256Hex,
+    hashAuditEntry,
+    lastChainedEntry,
+    chainAuditEntry,
+    findChainBreak,
+    verifyAuditChain
+  };
+}
+
+// ==========================================
+// COMMAND LINE
+// ==========================================
+
+// Offline check of an exported log (audit JSON or full data export):
+//   node audit-chain.js audit-log.json
+if (typeof require === 'function' && typeof module !== 'undefined' && require.main === module && process.argv[2]) {
+  const data = JSON.parse(require('fs').readFileSync(process.argv[2], 'utf8'));
+  const entries = Array.isArray(data) ? data : data.entries || data.auditLog || [];
+  verifyAuditChain(entries).then(result => {
+    if (result.valid) {
+      console.log(`Audit chain intact: ${result.checked} entries, head ${result.headHash}`);
+    } else {
+      console.log(`Audit chain broken at entry #${result.brokenAt.seq} (${result.brokenAt.action}, ${result.brokenAt.timestamp}): ${result.reason}`);
+    }
+    if (result.unchained > 0) console.log(`${result.unchained} entries predate the chain and were not checked`);
+    process.exitCode = result.valid ? 0 : 1;
+  });
+}
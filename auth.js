@@ -0,0 +1,185 @@
+/**
+ * Secure Bin Cycle Count - Operator Sign-In
+ *
+ * Local PIN sign-in and role checks. PINs are salted and hashed with
+ * PBKDF2 (Web Crypto) before they are stored; the PIN itself never is.
+ */
+
+// ==========================================
+// ROLES
+// ==========================================
+
+const ROLES = ['operator', 'supervisor', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  operator: ['count'],
+  supervisor: ['count', 'review', 'export', 'view_audit'],
+  admin: ['count', 'review', 'export', 'view_audit', 'manage_users', 'manage_settings', 'clear_data']
+};
+
+/** What each permission lets a user do, for access-denied messages */
+const PERMISSION_LABELS = {
+  count: 'count pallets',
+  review: 'review flagged counts',
+  export: 'export reports and data',
+  view_audit: 'open the audit panel',
+  manage_users: 'manage users',
+  manage_settings: 'change tolerance rules, bin hierarchies and sync settings',
+  clear_data: 'clear local data'
+};
+
+function hasPermission(user, permission) {
+  return !!user && user.active !== false && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+function normalizeUserId(userId) {
+  return String(userId || '').trim().toUpperCase();
+}
+
+// ==========================================
+// PIN HASHING
+// ==========================================
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const PIN_HASH_ITERATIONS = 100000;
+const PIN_SALT_BYTES = 16;
+
+function isValidPin(pin) {
+  return PIN_PATTERN.test(String(pin));
+}
+
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function generateSalt() {
+  return toHex(crypto.getRandomValues(new Uint8Array(PIN_SALT_BYTES)));
+}
+
+/**
+ * Derives the stored hash for a PIN (PBKDF2-SHA-256, hex encoded)
+ */
+async function hashPin(pin, salt, iterations = PIN_HASH_ITERATIONS) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(String(pin)), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: encoder.encode(salt), iterations: iterations, hash: 'SHA-256' },
+    key,
+    256
+  );
+  return toHex(bits);
+}
+
+/**
+ * Builds a Users record with a freshly salted PIN hash
+ */
+async function createUserRecord({ userId, displayName, role, pin, createdAt }) {
+  const salt = generateSalt();
+  const now = new Date().toISOString();
+  return {
+    userId: normalizeUserId(userId),
+    displayName: String(displayName || '').trim(),
+    role: role,
+    pinSalt: salt,
+    pinHash: await hashPin(pin, salt),
+    pinIterations: PIN_HASH_ITERATIONS,
+    active: true,
+    createdAt: createdAt || now,
+    updatedAt: now
+  };
+}
+
+async function verifyPin(user, pin) {
+  const hash = await hashPin(pin, user.pinSalt, user.pinIterations || PIN_HASH_ITERATIONS);
+  // Compare every character so the time taken does not reveal the match length
+  let diff = hash.length ^ user.pinHash.length;
+  for (let i = 0; i < hash.length; i++) {
+    diff |= hash.charCodeAt(i) ^ (user.pinHash.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+// ==========================================
+// SIGN-IN LOCKOUT
+// ==========================================
+
+const SIGN_IN_DEFAULTS = {
+  maxAttempts: 5,       // wrong PINs allowed before the user is locked out
+  lockoutMs: 60000      // how long the lockout lasts
+};
+
+/**
+ * Creates a guard that locks a user ID out after repeated wrong PINs.
+ * Every change is passed to onChange(userId, entry), with entry null once
+ * the failures are cleared, so they can be stored; restore() loads the
+ * stored entries again after a reload.
+ */
+function createSignInGuard({ maxAttempts, lockoutMs, now, onChange } = {}) {
+  const options = {
+    maxAttempts: maxAttempts || SIGN_IN_DEFAULTS.maxAttempts,
+    lockoutMs: lockoutMs || SIGN_IN_DEFAULTS.lockoutMs
+  };
+  const clock = now || (() => Date.now());
+  const notify = onChange || (() => {});
+  const failures = {};
+
+  const lockedUntil = (userId) => {
+    const entry = failures[normalizeUserId(userId)];
+    return entry && entry.lockedUntil > clock() ? entry.lockedUntil : null;
+  };
+
+  /** Records a wrong PIN and returns the attempts left before lockout */
+  const recordFailure = (userId) => {
+    const key = normalizeUserId(userId);
+    const entry = failures[key] && !(failures[key].lockedUntil && failures[key].lockedUntil <= clock())
+      ? failures[key]
+      : { count: 0, lockedUntil: null };
+    entry.count++;
+    if (entry.count >= options.maxAttempts) entry.lockedUntil = clock() + options.lockoutMs;
+    failures[key] = entry;
+    notify(key, { count: entry.count, lockedUntil: entry.lockedUntil });
+    return Math.max(options.maxAttempts - entry.count, 0);
+  };
+
+  const recordSuccess = (userId) => {
+    const key = normalizeUserId(userId);
+    if (!failures[key]) return;
+    delete failures[key];
+    notify(key, null);
+  };
+
+  /** Loads stored { userId, count, lockedUntil } entries */
+  const restore = (entries) => {
+    entries.forEach(entry => {
+      failures[normalizeUserId(entry.userId)] = { count: entry.count, lockedUntil: entry.lockedUntil || null };
+    });
+  };
+
+  return {
+    isLocked: (userId) => lockedUntil(userId) !== null,
+    lockedUntil,
+    recordFailure,
+    recordSuccess,
+    restore
+  };
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    PERMISSION_LABELS,
+    hasPermission,
+    normalizeUserId,
+    isValidPin,
+    hashPin,
+    createUserRecord,
+    verifyPin,
+    SIGN_IN_DEFAULTS,
+    createSignInGuard
+  };
+}
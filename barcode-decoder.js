@@ -0,0 +1,344 @@
+/**
+ * Secure Bin Cycle Count - Camera Barcode Decoder
+ *
+ * Decodes Code128 and EAN-13 pallet labels from still camera frames
+ * ({ data, width, height } RGBA image data, as returned by a canvas).
+ * QR codes are handed to the jsQR library. Frames are decoded on the
+ * device and never leave it.
+ */
+
+// ==========================================
+// SYMBOLOGY TABLES
+// ==========================================
+
+const BARCODE_FORMATS = ['code_128', 'ean_13', 'qr_code'];
+
+/**
+ * Code128 bar/space widths in modules for symbol values 0-106 (106 = stop,
+ * which ends with an extra 2-module bar)
+ */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+].map(p => p.split('').map(Number));
+
+const CODE128_START = { A: 103, B: 104, C: 105 };
+const CODE128_STOP = 106;
+
+/**
+ * EAN-13 digit widths (space, bar, space, bar) for the L set; the G set is
+ * the L set reversed and the R set reuses the L widths starting with a bar
+ */
+const EAN_L_PATTERNS = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112']
+  .map(p => p.split('').map(Number));
+const EAN_G_PATTERNS = EAN_L_PATTERNS.map(p => p.slice().reverse());
+
+/** Left-half L/G parity for each possible first digit (1 = G) */
+const EAN_FIRST_DIGIT_PARITY = [
+  '000000', '001011', '001101', '001110', '010011', '011001', '011100', '010101', '010110', '011010'
+];
+
+const MIN_CONTRAST = 40;          // luminance spread needed to read a scanline
+const MAX_SYMBOL_ERROR = 0.45;    // average per-run deviation, in modules
+
+// ==========================================
+// DECODING
+// ==========================================
+
+/**
+ * Decodes the first barcode found in an image.
+ * Returns { format, text } or null when nothing readable is in the frame.
+ */
+function decodeBarcodeImage(image, { formats } = {}) {
+  const wanted = formats || BARCODE_FORMATS;
+
+  if (wanted.includes('qr_code')) {
+    const qr = decodeQrCode(image);
+    if (qr) return qr;
+  }
+
+  const oneD = wanted.filter(format => format !== 'qr_code');
+  if (oneD.length === 0) return null;
+
+  const luminance = toLuminance(image);
+  const lines = scanlines(luminance, image.width, image.height);
+  for (const values of lines) {
+    for (const direction of [values, values.slice().reverse()]) {
+      const runs = toRuns(direction);
+      if (!runs) continue;
+      const result = decodeRuns(runs, oneD);
+      if (result) return result;
+    }
+  }
+  return null;
+}
+
+function decodeQrCode(image) {
+  if (typeof jsQR !== 'function') return null;
+  const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+  return code && code.data ? { format: 'qr_code', text: code.data } : null;
+}
+
+function decodeRuns(runs, formats) {
+  // Odd indices are bars: runs[0] is the light area before the first bar
+  for (let i = 1; i < runs.length; i += 2) {
+    if (formats.includes('ean_13')) {
+      const text = decodeEan13At(runs, i);
+      if (text) return { format: 'ean_13', text };
+    }
+    if (formats.includes('code_128')) {
+      const text = decodeCode128At(runs, i);
+      if (text) return { format: 'code_128', text };
+    }
+  }
+  return null;
+}
+
+// ==========================================
+// IMAGE SAMPLING
+// ==========================================
+
+function toLuminance(image) {
+  const { data, width, height } = image;
+  const luminance = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+    luminance[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+  }
+  return luminance;
+}
+
+/**
+ * Rows spread around the middle of the frame, then columns for labels
+ * held sideways
+ */
+function scanlines(luminance, width, height) {
+  const lines = [];
+  const offsets = [0, -1, 1, -2, 2, -3, 3, -4, 4, -5, 5, -6, 6, -7, 7];
+
+  offsets.forEach(step => {
+    const y = Math.floor(height / 2 + (step * height) / 16);
+    if (y < 0 || y >= height) return;
+    lines.push(luminance.subarray(y * width, (y + 1) * width));
+  });
+
+  offsets.forEach(step => {
+    const x = Math.floor(width / 2 + (step * width) / 16);
+    if (x < 0 || x >= width) return;
+    const column = new Uint8Array(height);
+    for (let y = 0; y < height; y++) column[y] = luminance[y * width + x];
+    lines.push(column);
+  });
+
+  return lines;
+}
+
+/**
+ * Thresholds a scanline at the midpoint of its range and returns the
+ * alternating light/dark run widths, starting with the light run before
+ * the first dark pixel. Returns null when the line has no contrast.
+ */
+function toRuns(values) {
+  let min = 255;
+  let max = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < min) min = values[i];
+    if (values[i] > max) max = values[i];
+  }
+  if (max - min < MIN_CONTRAST) return null;
+
+  const threshold = (min + max) / 2;
+  const runs = [0];
+  let dark = false;
+  for (let i = 0; i < values.length; i++) {
+    const isDark = values[i] < threshold;
+    if (isDark !== dark) {
+      runs.push(0);
+      dark = isDark;
+    }
+    runs[runs.length - 1]++;
+  }
+  return runs;
+}
+
+/**
+ * Scales runs to a whole number of modules and returns the average
+ * per-run deviation from pattern
+ */
+function patternError(runs, start, pattern, modules) {
+  let total = 0;
+  for (let k = 0; k < pattern.length; k++) total += runs[start + k];
+  const unit = total / modules;
+  let error = 0;
+  for (let k = 0; k < pattern.length; k++) {
+    error += Math.abs(runs[start + k] / unit - pattern[k]);
+  }
+  return error / pattern.length;
+}
+
+function bestMatch(runs, start, patterns, modules) {
+  let best = { index: -1, error: Infinity };
+  patterns.forEach((pattern, index) => {
+    const error = patternError(runs, start, pattern, modules);
+    if (error < best.error) best = { index, error };
+  });
+  return best.error <= MAX_SYMBOL_ERROR ? best.index : -1;
+}
+
+// ==========================================
+// EAN-13
+// ==========================================
+
+const EAN_RUN_COUNT = 59;           // 3 + 6x4 + 5 + 6x4 + 3
+const EAN_GUARD_ERROR = 0.5;
+
+function decodeEan13At(runs, start) {
+  if (start + EAN_RUN_COUNT > runs.length) return null;
+
+  let total = 0;
+  for (let k = 0; k < EAN_RUN_COUNT; k++) total += runs[start + k];
+  const unit = total / 95;
+
+  const guardOk = (offset, count) => {
+    for (let k = 0; k < count; k++) {
+      if (Math.abs(runs[start + offset + k] / unit - 1) > EAN_GUARD_ERROR) return false;
+    }
+    return true;
+  };
+  if (runs[start - 1] < unit * 3) return null;
+  if (!guardOk(0, 3) || !guardOk(27, 5) || !guardOk(56, 3)) return null;
+
+  // Left digits use the L or G set; together they encode the first digit
+  const leftPatterns = EAN_L_PATTERNS.concat(EAN_G_PATTERNS);
+  let digits = '';
+  let parity = '';
+  for (let d = 0; d < 6; d++) {
+    const match = bestMatch(runs, start + 3 + d * 4, leftPatterns, 7);
+    if (match === -1) return null;
+    digits += match % 10;
+    parity += match < 10 ? '0' : '1';
+  }
+  for (let d = 0; d < 6; d++) {
+    const digit = bestMatch(runs, start + 32 + d * 4, EAN_L_PATTERNS, 7);
+    if (digit === -1) return null;
+    digits += digit;
+  }
+
+  const first = EAN_FIRST_DIGIT_PARITY.indexOf(parity);
+  if (first === -1) return null;
+  const text = first + digits;
+  return isValidEan13(text) ? text : null;
+}
+
+function isValidEan13(text) {
+  if (!/^\d{13}$/.test(text)) return false;
+  const sum = text.slice(0, 12).split('').reduce((acc, c, i) => acc + Number(c) * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === Number(text[12]);
+}
+
+// ==========================================
+// CODE128
+// ==========================================
+
+const CODE128_QUIET_MODULES = 5;
+
+function decodeCode128At(runs, start) {
+  if (start + 6 > runs.length) return null;
+
+  const startCode = bestMatch(runs, start, CODE128_PATTERNS.slice(0, CODE128_STOP), 11);
+  if (startCode < CODE128_START.A) return null;
+  let unit = 0;
+  for (let k = 0; k < 6; k++) unit += runs[start + k];
+  unit /= 11;
+  if (runs[start - 1] < unit * CODE128_QUIET_MODULES) return null;
+
+  const codes = [startCode];
+  const symbolPatterns = CODE128_PATTERNS.map(p => p.slice(0, 6));
+  let position = start + 6;
+  while (true) {
+    if (position + 6 > runs.length) return null;
+    const code = bestMatch(runs, position, symbolPatterns, 11);
+    if (code === -1 || code > CODE128_STOP) return null;
+    if (code === CODE128_STOP) {
+      // The stop symbol ends with a 2-module bar
+      const finalBar = runs[position + 6];
+      if (finalBar === undefined || Math.abs(finalBar / unit - 2) > 1) return null;
+      break;
+    }
+    if (code >= CODE128_START.A) return null;
+    codes.push(code);
+    position += 6;
+  }
+
+  if (codes.length < 3) return null;
+  const checksum = codes.pop();
+  const sum = codes.reduce((acc, code, i) => acc + code * Math.max(i, 1), 0);
+  if (sum % 103 !== checksum) return null;
+
+  return code128Text(codes);
+}
+
+/**
+ * Translates Code128 symbol values (start code first) to text, following
+ * code set switches and single-symbol shifts. FNC1 at the start (GS1) is
+ * dropped; elsewhere it becomes the GS separator.
+ */
+function code128Text(codes) {
+  let set = codes[0] === CODE128_START.A ? 'A' : codes[0] === CODE128_START.B ? 'B' : 'C';
+  let text = '';
+  let shifted = false;
+
+  for (let i = 1; i < codes.length; i++) {
+    const code = codes[i];
+    const active = shifted ? (set === 'A' ? 'B' : 'A') : set;
+    shifted = false;
+
+    if (code === 102) {
+      if (i > 1) text += '\u001d';
+      continue;
+    }
+
+    if (active === 'C') {
+      if (code < 100) text += String(code).padStart(2, '0');
+      else if (code === 100) set = 'B';
+      else if (code === 101) set = 'A';
+      continue;
+    }
+
+    if (code < 64) text += String.fromCharCode(code + 32);
+    else if (code < 96) text += String.fromCharCode(active === 'A' ? code - 64 : code + 32);
+    else if (code === 98) shifted = true;
+    else if (code === 99) set = 'C';
+    else if (code === 100 && active === 'A') set = 'B';
+    else if (code === 101 && active === 'B') set = 'A';
+    // 96/97 (FNC3/FNC2) and FNC4 carry no text
+  }
+
+  return text;
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BARCODE_FORMATS,
+    CODE128_PATTERNS,
+    CODE128_START,
+    CODE128_STOP,
+    EAN_L_PATTERNS,
+    EAN_G_PATTERNS,
+    EAN_FIRST_DIGIT_PARITY,
+    decodeBarcodeImage,
+    isValidEan13
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Secure Bin Cycle Count - Bin Hierarchy
+ *
+ * Groups the bin codes of a location into levels (e.g. aisle, bay, level)
+ * for the bin selection tree, and matches the prefix and range filters
+ * typed on the bin screen ("A-", "*-03", "A-01..A-20"). How codes split
+ * into levels is configured per location in the BinHierarchies table.
+ */
+
+// ==========================================
+// HIERARCHY
+// ==========================================
+
+/** Used for locations without a BinHierarchies entry */
+const DEFAULT_BIN_HIERARCHY = { location: '*', levels: ['Aisle', 'Bay', 'Level'], separators: '-' };
+
+/** The hierarchy for a location: its own entry, else the '*' entry, else the default */
+function findBinHierarchy(hierarchies, location) {
+  return hierarchies.find(h => h.location === location) ||
+    hierarchies.find(h => h.location === '*') ||
+    DEFAULT_BIN_HIERARCHY;
+}
+
+/**
+ * Compares bin codes the way they read: runs of digits by value, so A-2
+ * sorts before A-10 and A-1 matches A-01, and letters case-insensitively
+ */
+function compareBinCodes(a, b) {
+  const partsA = String(a).toUpperCase().match(/\d+|\D+/g) || [];
+  const partsB = String(b).toUpperCase().match(/\d+|\D+/g) || [];
+  for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+    const digitsA = /^\d/.test(partsA[i]);
+    const digitsB = /^\d/.test(partsB[i]);
+    if (digitsA && digitsB) {
+      const difference = Number(partsA[i]) - Number(partsB[i]);
+      if (difference !== 0) return difference;
+    } else if (partsA[i] !== partsB[i]) {
+      return partsA[i] < partsB[i] ? -1 : 1;
+    }
+  }
+  return partsA.length - partsB.length;
+}
+
+/**
+ * The group codes a bin sits in, outermost first: A-01-3 with levels
+ * Aisle, Bay, Level is in aisle A and bay A-01. The last level is the bin
+ * itself; codes with more parts than levels keep the rest in the bin.
+ */
+function getBinGroups(bin, hierarchy) {
+  const separators = hierarchy.separators || '';
+  const groups = [];
+  for (let i = 1; i < bin.length && groups.length < hierarchy.levels.length - 1; i++) {
+    if (separators.includes(bin[i]) && !separators.includes(bin[i - 1])) groups.push(bin.slice(0, i));
+  }
+  return groups;
+}
+
+/**
+ * Builds the selection tree for a location's bins. Every group node is
+ * { key, label, level, bins, children }, where key is the group code
+ * (A-01), label its own part (01), level the level name and bins all bins
+ * below it; children are group nodes and { bin } leaves, in bin order.
+ * Returns the root node (key '').
+ */
+function buildBinTree(bins, hierarchy) {
+  const root = { key: '', label: '', level: null, bins: [], children: [] };
+  const groups = new Map();
+
+  bins.slice().sort(compareBinCodes).forEach(bin => {
+    let parent = root;
+    root.bins.push(bin);
+    getBinGroups(bin, hierarchy).forEach((key, depth) => {
+      let node = groups.get(key);
+      if (!node) {
+        node = { key: key, label: key.slice(parent.key ? parent.key.length + 1 : 0), level: hierarchy.levels[depth], bins: [], children: [] };
+        groups.set(key, node);
+        parent.children.push(node);
+      }
+      node.bins.push(bin);
+      parent = node;
+    });
+    parent.children.push({ bin: bin });
+  });
+  return root;
+}
+
+// ==========================================
+// FILTERS
+// ==========================================
+
+/**
+ * Parses a bin filter: terms separated by commas or spaces, each a prefix
+ * (A-01, where * matches anything, e.g. *-03) or an inclusive range
+ * (A-01..A-20). A range left open at one end (A-10..) is unbounded there.
+ */
+function parseBinFilter(text) {
+  return String(text || '').split(/[\s,;]+/).filter(Boolean).map(term => {
+    const dots = term.indexOf('..');
+    if (dots !== -1) return { type: 'range', from: term.slice(0, dots), to: term.slice(dots + 2) };
+    const pattern = term.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return { type: 'prefix', prefix: term, pattern: new RegExp('^' + pattern, 'i') };
+  });
+}
+
+/**
+ * Whether a bin matches a parsed filter term. A range includes the bins
+ * inside its last bin's group too: A-01..A-20 includes A-20-3.
+ */
+function matchesBinTerm(bin, term, hierarchy) {
+  if (term.type === 'prefix') return term.pattern.test(bin);
+  if (term.from && compareBinCodes(bin, term.from) < 0) return false;
+  if (!term.to || compareBinCodes(bin, term.to) <= 0) return true;
+  return bin.toUpperCase().startsWith(term.to.toUpperCase()) &&
+    (hierarchy.separators || '').includes(bin[term.to.length]);
+}
+
+/** The bins matching any term of a filter (all bins for an empty filter), in order */
+function filterBins(bins, text, hierarchy) {
+  const terms = parseBinFilter(text);
+  if (terms.length === 0) return bins.slice();
+  return bins.filter(bin => terms.some(term => matchesBinTerm(bin, term, hierarchy)));
+}
+
+// ==========================================
+// SELECTION
+// ==========================================
+
+/** 'all', 'some' or 'none' of the bins selected, for tri-state group checkboxes */
+function getSelectionState(bins, selected) {
+  const count = bins.filter(bin => selected.has(bin)).length;
+  if (count === 0) return 'none';
+  return count === bins.length ? 'all' : 'some';
+}
+
+/**
+ * Adds a count action to a last-counted map (see getLastCountedBins),
+ * keeping the latest count per bin. Supervisor decisions are not counts
+ * and are ignored.
+ */
+function noteBinCounted(lastCounted, location, action) {
+  if (location === undefined || !action.bin || action.reviewDecision) return;
+  if (!lastCounted.has(location)) lastCounted.set(location, new Map());
+  const bins = lastCounted.get(location);
+  if (!bins.has(action.bin) || bins.get(action.bin) < action.timestamp) bins.set(action.bin, action.timestamp);
+}
+
+/**
+ * When each bin was last counted, from stored count sessions and actions.
+ * Returns Map location -> Map bin -> ISO timestamp of the latest count.
+ */
+function getLastCountedBins(sessions, actions) {
+  const locations = new Map(sessions.map(session => [session.sessionId, session.location]));
+  const result = new Map();
+  actions.forEach(action => noteBinCounted(result, locations.get(action.sessionId), action));
+  return result;
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_BIN_HIERARCHY,
+    findBinHierarchy,
+    compareBinCodes,
+    getBinGroups,
+    buildBinTree,
+    parseBinFilter,
+    matchesBinTerm,
+    filterBins,
+    getSelectionState,
+    noteBinCounted,
+    getLastCountedBins
+  };
+}
@@ -86,6 +86,13 @@ const InventoryImportSchema = {
     description: 'Batch identifier for traceability',
     required: true,
     readOnly: true
+  },
+  rowIndex: {
+    type: 'number',
+    description: 'Position in the imported file (records are keyed by random id)',
+    required: false,
+    readOnly: true,
+    min: 0
   }
 };
 
@@ -138,10 +145,10 @@ const CountSessionsSchema = {
   },
   status: {
     type: 'string',
-    description: 'Session status',
+    description: 'Session status (paused = set aside to resume later; completed = submitted with counts awaiting supervisor review)',
     required: true,
     default: 'in-progress',
-    enum: ['in-progress', 'completed', 'submitted'],
+    enum: ['in-progress', 'paused', 'completed', 'submitted'],
     readOnly: false
   },
   totalPallets: {
@@ -161,6 +168,32 @@ const CountSessionsSchema = {
     description: 'Number of pallets with discrepancies',
     required: true,
     default: 0
+  },
+  importBatch: {
+    type: 'string',
+    description: 'Inventory import batch the session counts against',
+    required: false,
+    readOnly: true
+  },
+  countMode: {
+    type: 'string',
+    description: 'standard shows system quantities; blind hides them from the operator',
+    required: true,
+    default: 'standard',
+    enum: ['standard', 'blind'],
+    readOnly: true
+  },
+  skippedPallets: {
+    type: 'array',
+    description: 'Pallets skipped without a count: { palletId, reasonCode, notes, userId, timestamp }, latest last',
+    required: false,
+    itemType: 'object'
+  },
+  partialSubmission: {
+    type: 'object',
+    description: 'Supervisor sign-off for submitting with pallets not counted: { uncounted, reason, approvedBy, approvedAt }',
+    required: false,
+    readOnly: true
   }
 };
 
@@ -252,7 +285,80 @@ const CountActionsSchema = {
     description: 'Action status',
     required: true,
     default: 'confirmed',
-    enum: ['confirmed', 'flagged', 'pending_review'],
+    enum: ['confirmed', 'flagged', 'recount_required', 'pending_review', 'approved', 'written_off'],
+    readOnly: true
+  },
+  version: {
+    type: 'number',
+    description: 'Count number for this pallet in the session (1 = first count)',
+    required: true,
+    default: 1,
+    readOnly: true
+  },
+  supersedes: {
+    type: 'string',
+    description: 'actionId of the previous count this recount replaces',
+    required: false,
+    readOnly: true
+  },
+  actionType: {
+    type: 'string',
+    description: 'count = expected pallet, found = pallet not expected in the counted bin',
+    required: true,
+    default: 'count',
+    enum: ['count', 'found'],
+    readOnly: true
+  },
+  exception: {
+    type: 'string',
+    description: 'Exception raised by a found pallet',
+    required: false,
+    enum: ['mislocated', 'not_in_import'],
+    readOnly: true
+  },
+  systemLocation: {
+    type: 'string',
+    description: 'Location the import has a mislocated pallet in',
+    required: false,
+    readOnly: true
+  },
+  systemBin: {
+    type: 'string',
+    description: 'Bin the import has a mislocated pallet in',
+    required: false,
+    readOnly: true
+  },
+  withinTolerance: {
+    type: 'boolean',
+    description: 'Whether the variance was inside the applicable tolerance rule',
+    required: false,
+    readOnly: true
+  },
+  toleranceRuleId: {
+    type: 'string',
+    description: 'ToleranceRules rule applied (empty for the built-in zero tolerance)',
+    required: false,
+    readOnly: true
+  },
+  reviewDecision: {
+    type: 'string',
+    description: 'Supervisor decision this action records (unset for operator counts)',
+    required: false,
+    enum: ['approved', 'recount', 'written_off'],
+    readOnly: true
+  },
+  reasonCode: {
+    type: 'string',
+    description: 'Write-off reason code',
+    required: false,
+    enum: ['damaged', 'theft', 'expired', 'miscount', 'unit_of_measure', 'system_error', 'other'],
+    readOnly: true
+  },
+  overrides: {
+    type: 'array',
+    description: 'actionIds of conflicting counts from other sessions this approved count was chosen over',
+    required: false,
+    itemType: 'string',
     readOnly: true
   }
 };
@@ -261,7 +367,7 @@ const CountActionsSchema = {
  * AuditLog Schema
  * 
  * Records every action in the system for compliance.
- * Immutable audit trail.
+ * Immutable, hash-chained audit trail (see audit-chain.js).
  */
 const AuditLogSchema = {
   logId: {
@@ -290,12 +396,39 @@ const AuditLogSchema = {
     enum: ['USER', 'SYSTEM', 'ERROR'],
     readOnly: true
   },
+  userId: {
+    type: 'string',
+    description: 'Signed-in user when the event happened (empty before sign-in)',
+    required: false,
+    readOnly: true
+  },
   action: {
     type: 'string',
     description: 'Action description',
     required: true,
     readOnly: true
   },
+  seq: {
+    type: 'number',
+    description: 'Position in the audit chain (1 = first entry)',
+    required: true,
+    readOnly: true,
+    min: 1
+  },
+  prevHash: {
+    type: 'string',
+    description: 'SHA-256 hash of the previous entry (zeros for the first)',
+    required: true,
+    readOnly: true,
+    validation: /^[0-9a-f]{64}$/
+  },
+  hash: {
+    type: 'string',
+    description: 'SHA-256 hash of this entry, including prevHash',
+    required: true,
+    readOnly: true,
+    validation: /^[0-9a-f]{64}$/
+  },
   details: {
     type: 'object',
     description: 'JSON object with context',
@@ -318,112 +451,910 @@ const AuditLogSchema = {
   }
 };
 
-// ==========================================
-// VALIDATION FUNCTIONS
-// ==========================================
-
 /**
- * Validates Excel row against schema
+ * ImportProfiles Schema
+ * 
+ * A saved column mapping for a recurring WMS export layout.
  */
-function validateInventoryRow(row) {
-  const required = ['Location', 'Bin', 'PalletID', 'ItemNumber', 'SystemQuantity'];
-  const errors = [];
-  
-  // Check required columns
-  required.forEach(col => {
-    if (!row[col]) {
-      errors.push(`Missing required column: ${col}`);
-    }
-  });
-  
-  // Validate data types
-  if (row.SystemQuantity && isNaN(parseInt(row.SystemQuantity))) {
-    errors.push(`SystemQuantity must be a number, got: ${row.SystemQuantity}`);
-  }
-  
-  // Validate expiry date format if present
-  if (row.ExpiryDate && !/^\d{4}-\d{2}-\d{2}$/.test(row.ExpiryDate)) {
-    errors.push(`ExpiryDate must be YYYY-MM-DD format, got: ${row.ExpiryDate}`);
+const ImportProfilesSchema = {
+  name: {
+    type: 'string',
+    description: 'Profile name (e.g. NetSuite Bin Export)',
+    required: true,
+    unique: true
+  },
+  sheetName: {
+    type: 'string',
+    description: 'Preferred worksheet name',
+    required: false
+  },
+  mapping: {
+    type: 'object',
+    description: 'Inventory column → source header',
+    required: true
+  },
+  updatedAt: {
+    type: 'string',
+    description: 'ISO timestamp of last save',
+    required: true
   }
-  
-  return {
-    isValid: errors.length === 0,
-    errors: errors
-  };
-}
+};
 
 /**
- * Deduplicates inventory rows
+ * ToleranceRules Schema
+ * 
+ * Acceptable variance for an item, UOM or location (or the default rule),
+ * as absolute units or a percentage of system quantity.
  */
-function deduplicateRows(rows) {
-  const seen = new Map();
-  const duplicates = [];
-  
-  const unique = rows.filter(row => {
-    const key = `${row.PalletID}|${row.Bin}`;
-    if (seen.has(key)) {
-      duplicates.push({ ...row, reason: 'Duplicate PalletID+Bin' });
-      return false;
-    }
-    seen.set(key, row);
-    return true;
-  });
-  
-  return { unique, duplicates, deduplicationCount: duplicates.length };
-}
+const ToleranceRulesSchema = {
+  ruleId: {
+    type: 'string',
+    description: 'scope:match (one rule per item, UOM or location)',
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  scope: {
+    type: 'string',
+    description: 'What the rule applies to',
+    required: true,
+    enum: ['item', 'uom', 'location', 'default']
+  },
+  match: {
+    type: 'string',
+    description: 'Item number, UOM or location (empty for the default rule)',
+    required: false
+  },
+  mode: {
+    type: 'string',
+    description: 'absolute = units, percent = % of system quantity',
+    required: true,
+    enum: ['absolute', 'percent']
+  },
+  value: {
+    type: 'number',
+    description: 'Allowed variance either side of the system quantity',
+    required: true,
+    min: 0
+  },
+  updatedAt: {
+    type: 'string',
+    description: 'ISO timestamp of last save',
+    required: true
+  }
+};
 
 /**
- * Calculates variance statistics
+ * BinHierarchies Schema
+ * 
+ * How bin codes of a location split into levels (e.g. aisle, bay, level)
+ * for the bin selection tree (see bin-hierarchy.js). Location '*' applies
+ * to locations without their own entry.
  */
-function calculateVarianceStats(countActions) {
-  const stats = {
-    totalActions: countActions.length,
-    totalVariance: 0,
-    positiveVariances: [],
-    negativeVariances: [],
-    zeroVariances: []
-  };
-  
-  countActions.forEach(action => {
-    stats.totalVariance += action.variance;
-    
-    if (action.variance > 0) {
-      stats.positiveVariances.push(action);
-    } else if (action.variance < 0) {
-      stats.negativeVariances.push(action);
-    } else {
-      stats.zeroVariances.push(action);
-    }
-  });
-  
-  stats.varianceCount = stats.positiveVariances.length + stats.negativeVariances.length;
-  stats.accuracyPercentage = ((stats.zeroVariances.length / stats.totalActions) * 100).toFixed(2);
-  
-  return stats;
-}
+const BinHierarchiesSchema = {
+  location: {
+    type: 'string',
+    description: "Location, or '*' for all other locations",
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  levels: {
+    type: 'array',
+    description: 'Level names from the outermost, e.g. Aisle, Bay, Level',
+    required: true,
+    minItems: 1,
+    itemType: 'string'
+  },
+  separators: {
+    type: 'string',
+    description: 'Characters between levels in a bin code (none = a flat list)',
+    required: false
+  },
+  updatedAt: {
+    type: 'string',
+    description: 'ISO timestamp of last save',
+    required: true
+  }
+};
 
 /**
- * Calculates session metrics
+ * Users Schema
+ * 
+ * Operators who can sign in on this device. Only a salted PBKDF2 hash of
+ * the PIN is kept.
  */
-function calculateSessionMetrics(session, countActions) {
-  const duration = session.endTime ? session.endTime - session.startTime : Date.now() - session.startTime;
-  const durationSeconds = Math.floor(duration / 1000);
-  
-  return {
-    sessionId: session.sessionId,
-    location: session.location,
-    binsCount: session.bins.length,
-    totalPallets: session.totalPallets,
-    countedPallets: countActions.length,
-    completionPercentage: ((countActions.length / session.totalPallets) * 100).toFixed(2),
-    durationSeconds: durationSeconds,
-    durationFormatted: formatDuration(durationSeconds),
-    varianceCount: countActions.filter(a => a.variance !== 0).length,
-    flaggedCount: countActions.filter(a => a.flagged).length
-  };
-}
+const UsersSchema = {
+  userId: {
+    type: 'string',
+    description: 'Sign-in ID (upper case)',
+    required: true,
+    unique: true,
+    readOnly: true,
+    validation: /^[A-Z0-9][A-Z0-9_-]{1,31}$/
+  },
+  displayName: {
+    type: 'string',
+    description: 'Name shown in the header and reports',
+    required: true
+  },
+  role: {
+    type: 'string',
+    description: 'Access level',
+    required: true,
+    default: 'operator',
+    enum: ['operator', 'supervisor', 'admin']
+  },
+  pinHash: {
+    type: 'string',
+    description: 'PBKDF2-SHA-256 hash of the PIN (hex)',
+    required: true
+  },
+  pinSalt: {
+    type: 'string',
+    description: 'Random salt for the PIN hash (hex)',
+    required: true
+  },
+  pinIterations: {
+    type: 'number',
+    description: 'PBKDF2 iteration count used for the hash',
+    required: true,
+    min: 1
+  },
+  active: {
+    type: 'boolean',
+    description: 'Inactive users cannot sign in',
+    required: true,
+    default: true
+  },
+  createdAt: {
+    type: 'string',
+    description: 'ISO timestamp the user was added',
+    required: true,
+    readOnly: true
+  },
+  updatedAt: {
+    type: 'string',
+    description: 'ISO timestamp of last change',
+    required: true
+  }
+};
 
-function formatDuration(seconds) {
+/**
+ * SignInAttempts Schema
+ * 
+ * Wrong PINs per user ID (see createSignInGuard in auth.js), kept so a
+ * reload does not lift a lockout or reset the count.
+ */
+const SignInAttemptsSchema = {
+  userId: {
+    type: 'string',
+    description: 'Sign-in ID the PINs were tried for (upper case)',
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  count: {
+    type: 'number',
+    description: 'Wrong PINs since the last sign-in or lockout',
+    required: true,
+    min: 0
+  },
+  lockedUntil: {
+    type: 'number',
+    description: 'Epoch milliseconds the lockout ends (absent when not locked)',
+    required: false,
+    min: 0
+  },
+  updatedAt: {
+    type: 'string',
+    description: 'ISO timestamp of the last wrong PIN',
+    required: true
+  }
+};
+
+/**
+ * SigningKeys Schema
+ * 
+ * One ECDSA P-256 key pair per user, generated on the device. The private
+ * key is a non-extractable WebCrypto key, so it can sign but never be read.
+ */
+const SigningKeysSchema = {
+  userId: {
+    type: 'string',
+    description: 'User the key belongs to',
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  keyId: {
+    type: 'string',
+    description: 'SHA-256 fingerprint of the public key (hex)',
+    required: true,
+    readOnly: true,
+    validation: /^[0-9a-f]{64}$/
+  },
+  algorithm: {
+    type: 'string',
+    description: 'Signature algorithm',
+    required: true,
+    readOnly: true,
+    enum: ['ECDSA-P256-SHA256']
+  },
+  publicKey: {
+    type: 'object',
+    description: 'Public key as a JWK (kty, crv, x, y)',
+    required: true,
+    readOnly: true
+  },
+  privateKey: {
+    type: 'object',
+    description: 'Non-extractable WebCrypto private key',
+    required: true
+  },
+  createdAt: {
+    type: 'string',
+    description: 'ISO timestamp the key was generated',
+    required: true,
+    readOnly: true
+  }
+};
+
+/**
+ * SessionSignatures Schema
+ * 
+ * Signature over a submitted session: the CountSessions record, its
+ * CountActions and the audit chain head at the time of submission.
+ */
+const SessionSignaturesSchema = {
+  signatureId: {
+    type: 'string',
+    description: 'Unique signature identifier',
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  sessionId: {
+    type: 'string',
+    description: 'Signed session',
+    required: true,
+    readOnly: true
+  },
+  signedBy: {
+    type: 'string',
+    description: 'User whose key signed the submission',
+    required: true,
+    readOnly: true
+  },
+  signedAt: {
+    type: 'string',
+    description: 'ISO timestamp of signing',
+    required: true,
+    readOnly: true
+  },
+  algorithm: {
+    type: 'string',
+    description: 'Signature algorithm',
+    required: true,
+    readOnly: true,
+    enum: ['ECDSA-P256-SHA256']
+  },
+  keyId: {
+    type: 'string',
+    description: 'SHA-256 fingerprint of the signing public key (hex)',
+    required: true,
+    readOnly: true,
+    validation: /^[0-9a-f]{64}$/
+  },
+  publicKey: {
+    type: 'object',
+    description: 'Signing public key as a JWK',
+    required: true,
+    readOnly: true
+  },
+  payload: {
+    type: 'object',
+    description: 'Signed content (session, actions, audit head hash)',
+    required: true,
+    readOnly: true
+  },
+  payloadDigest: {
+    type: 'string',
+    description: 'SHA-256 of the canonical payload (hex)',
+    required: true,
+    readOnly: true,
+    validation: /^[0-9a-f]{64}$/
+  },
+  signature: {
+    type: 'string',
+    description: 'ECDSA signature over the canonical payload (hex, r || s)',
+    required: true,
+    readOnly: true,
+    validation: /^[0-9a-f]{128}$/
+  }
+};
+
+/**
+ * KeyVault Schema
+ * 
+ * Parameters for deriving the device encryption key from the passphrase
+ * (see vault.js). Holds no key material: `check` is a known value
+ * encrypted with the key, used to reject a wrong passphrase.
+ */
+const KeyVaultSchema = {
+  vaultId: {
+    type: 'string',
+    description: 'Vault identifier (one per device)',
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  kdf: {
+    type: 'string',
+    description: 'Key derivation function',
+    required: true,
+    enum: ['PBKDF2-SHA-256']
+  },
+  salt: {
+    type: 'string',
+    description: 'Random PBKDF2 salt (hex)',
+    required: true,
+    validation: /^[0-9a-f]{32}$/
+  },
+  iterations: {
+    type: 'number',
+    description: 'PBKDF2 iteration count',
+    required: true,
+    min: 1
+  },
+  check: {
+    type: 'object',
+    description: 'Known text encrypted with the derived key ({ iv, data })',
+    required: true
+  },
+  createdAt: {
+    type: 'string',
+    description: 'ISO timestamp the passphrase was set',
+    required: true
+  }
+};
+
+/**
+ * SessionPackages Schema
+ * 
+ * A session package imported from another device (see session-package.js),
+ * or a session pulled from the sync server (see sync.js). Its session and
+ * count actions are merged into CountSessions and CountActions; the audit
+ * entries are kept here because they belong to the other device's audit
+ * chain.
+ */
+const SessionPackagesSchema = {
+  packageId: {
+    type: 'string',
+    description: 'Package identifier, assigned on export (SYNC-{sessionId} for synced sessions)',
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  source: {
+    type: 'string',
+    description: 'package = imported from a file, sync = pulled from the sync server',
+    required: true,
+    default: 'package',
+    enum: ['package', 'sync'],
+    readOnly: true
+  },
+  sessionId: {
+    type: 'string',
+    description: 'Session the package carries',
+    required: true,
+    readOnly: true
+  },
+  importBatch: {
+    type: 'string',
+    description: 'Import batch the session was counted against on the other device',
+    required: false,
+    readOnly: true
+  },
+  consolidationBatch: {
+    type: 'string',
+    description: 'Import batch on this device the package was merged with',
+    required: true,
+    readOnly: true
+  },
+  exportedBy: {
+    type: 'string',
+    description: 'User who exported the package',
+    required: true,
+    readOnly: true
+  },
+  exportedAt: {
+    type: 'string',
+    description: 'ISO timestamp of export (of the latest pull for synced sessions)',
+    required: true
+  },
+  importedBy: {
+    type: 'string',
+    description: 'User who imported the package on this device',
+    required: true,
+    readOnly: true
+  },
+  importedAt: {
+    type: 'string',
+    description: 'ISO timestamp of import',
+    required: true,
+    readOnly: true
+  },
+  auditHeadHash: {
+    type: 'string',
+    description: "Head of the other device's audit chain at export (hex)",
+    required: true,
+    validation: /^[0-9a-f]{64}$/
+  },
+  auditEntries: {
+    type: 'array',
+    description: "The session's entries from the other device's audit chain",
+    required: true,
+    itemType: 'object'
+  }
+};
+
+/**
+ * SyncConfig Schema
+ * 
+ * Sync server settings for this device (see sync.js). Sync is off until
+ * an endpoint is saved and enabled.
+ */
+const SyncConfigSchema = {
+  configId: {
+    type: 'string',
+    description: 'Config identifier (one per device)',
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  endpoint: {
+    type: 'string',
+    description: 'Base URL of the sync server, e.g. http://192.168.1.20:8787',
+    required: true,
+    validation: /^https?:\/\/\S+$/i
+  },
+  deviceId: {
+    type: 'string',
+    description: 'Identifies this device to the sync server',
+    required: true,
+    readOnly: true
+  },
+  enabled: {
+    type: 'boolean',
+    description: 'Whether records are pushed and progress pulled',
+    required: true,
+    default: false
+  },
+  updatedAt: {
+    type: 'string',
+    description: 'ISO timestamp of the last change',
+    required: true
+  }
+};
+
+/**
+ * SyncOutbox Schema
+ * 
+ * A record waiting to be pushed to the sync server. Saving the same record
+ * again replaces the queued copy; failed pushes are retried with backoff.
+ */
+const SyncOutboxSchema = {
+  outboxId: {
+    type: 'string',
+    description: '{storeName}:{record key}',
+    required: true,
+    unique: true,
+    readOnly: true
+  },
+  storeName: {
+    type: 'string',
+    description: 'Store the record belongs to',
+    required: true,
+    enum: ['CountSessions', 'CountActions', 'AuditLog'],
+    readOnly: true
+  },
+  recordKey: {
+    type: 'string',
+    description: 'Key of the record in its store',
+    required: true,
+    readOnly: true
+  },
+  record: {
+    type: 'object',
+    description: 'Record to push',
+    required: true
+  },
+  queuedAt: {
+    type: 'number',
+    description: 'Unix timestamp (ms) the record was queued',
+    required: true
+  },
+  attempts: {
+    type: 'number',
+    description: 'Failed push attempts so far',
+    required: true,
+    default: 0,
+    min: 0
+  },
+  nextAttemptAt: {
+    type: 'number',
+    description: 'Unix timestamp (ms) of the next push attempt',
+    required: true
+  },
+  lastError: {
+    type: 'string',
+    description: 'Error from the last failed attempt',
+    required: false
+  }
+};
+
+/**
+ * Schemas keyed by table (object store) name
+ */
+const TABLE_SCHEMAS = {
+  InventoryImport: InventoryImportSchema,
+  CountSessions: CountSessionsSchema,
+  CountActions: CountActionsSchema,
+  AuditLog: AuditLogSchema,
+  ImportProfiles: ImportProfilesSchema,
+  ToleranceRules: ToleranceRulesSchema,
+  BinHierarchies: BinHierarchiesSchema,
+  Users: UsersSchema,
+  SignInAttempts: SignInAttemptsSchema,
+  SigningKeys: SigningKeysSchema,
+  SessionSignatures: SessionSignaturesSchema,
+  KeyVault: KeyVaultSchema,
+  SessionPackages: SessionPackagesSchema,
+  SyncConfig: SyncConfigSchema,
+  SyncOutbox: SyncOutboxSchema
+};
+
+// ==========================================
+// VALIDATION FUNCTIONS
+// ==========================================
+
+function isEmptyValue(val) {
+  return val === undefined || val === null || val === '';
+}
+
+function matchesType(val, type) {
+  switch (type) {
+    case 'string': return typeof val === 'string';
+    case 'number': return typeof val === 'number' && Number.isFinite(val);
+    case 'boolean': return typeof val === 'boolean';
+    case 'array': return Array.isArray(val);
+    case 'object': return typeof val === 'object' && !Array.isArray(val);
+    default: return true;
+  }
+}
+
+/**
+ * Validates a record against one of the *Schema definitions.
+ *
+ * Fills `default` and `computed` values, then checks required, type, enum,
+ * min, minItems/itemType and regex/function `validation` rules. When
+ * `original` is given (an update), changes to `readOnly` fields are rejected.
+ * `unique` is enforced by the storage keys, not here.
+ *
+ * Returns { isValid, errors: { field: [messages] }, record }
+ */
+function validateRecord(schema, record, original = null) {
+  const errors = {};
+  const result = { ...record };
+  const addError = (field, message) => {
+    (errors[field] = errors[field] || []).push(message);
+  };
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (isEmptyValue(result[field]) && rule.default !== undefined) {
+      result[field] = rule.default;
+    }
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (typeof rule.computed !== 'function') return;
+    const expected = rule.computed(result);
+    if (isEmptyValue(result[field])) {
+      result[field] = expected;
+    } else if (result[field] !== expected) {
+      addError(field, `${field} must equal computed value ${expected}, got ${result[field]}`);
+    }
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const val = result[field];
+
+    if (original && rule.readOnly && !isEmptyValue(original[field]) &&
+        JSON.stringify(original[field]) !== JSON.stringify(val)) {
+      addError(field, `${field} is read-only and cannot be changed`);
+    }
+
+    if (isEmptyValue(val)) {
+      if (rule.required) addError(field, `${field} is required`);
+      return;
+    }
+
+    if (!matchesType(val, rule.type)) {
+      addError(field, `${field} must be of type ${rule.type}, got: ${JSON.stringify(val)}`);
+      return;
+    }
+    if (rule.enum && !rule.enum.includes(val)) {
+      addError(field, `${field} must be one of ${rule.enum.join(', ')}, got: ${val}`);
+    }
+    if (rule.min !== undefined && val < rule.min) {
+      addError(field, `${field} must be at least ${rule.min}, got: ${val}`);
+    }
+    if (rule.validation instanceof RegExp && !rule.validation.test(String(val))) {
+      addError(field, `${field} has an invalid format, got: ${val}`);
+    } else if (typeof rule.validation === 'function' && !rule.validation(val)) {
+      addError(field, `${field} failed validation, got: ${val}`);
+    }
+    if (rule.type === 'array') {
+      if (rule.minItems !== undefined && val.length < rule.minItems) {
+        addError(field, `${field} must have at least ${rule.minItems} item(s)`);
+      }
+      if (rule.itemType && !val.every(item => matchesType(item, rule.itemType))) {
+        addError(field, `${field} items must be of type ${rule.itemType}`);
+      }
+    }
+  });
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors: errors,
+    record: result
+  };
+}
+
+/**
+ * Flattens per-field validation errors into a list of messages
+ */
+function formatValidationErrors(errors) {
+  return Object.values(errors).reduce((all, messages) => all.concat(messages), []);
+}
+
+/**
+ * Validates Excel row against schema
+ */
+function validateInventoryRow(row) {
+  const required = ['Location', 'Bin', 'PalletID', 'ItemNumber', 'SystemQuantity'];
+  const errors = [];
+  
+  // Check required columns
+  required.forEach(col => {
+    if (isEmptyValue(row[col])) {
+      errors.push(`Missing required column: ${col}`);
+    }
+  });
+  
+  // Validate data types
+  if (!isEmptyValue(row.SystemQuantity) && !/^\s*\d+\s*$/.test(String(row.SystemQuantity))) {
+    errors.push(`SystemQuantity must be a whole number of 0 or more, got: ${row.SystemQuantity}`);
+  }
+  
+  // Validate location and bin codes
+  ['Location', 'Bin'].forEach(col => {
+    if (!isEmptyValue(row[col]) && !InventoryImportSchema[col.toLowerCase()].validation.test(String(row[col]))) {
+      errors.push(`${col} may only contain letters, digits and dashes, got: ${row[col]}`);
+    }
+  });
+  
+  // Validate expiry date format if present
+  if (row.ExpiryDate && !/^\d{4}-\d{2}-\d{2}$/.test(row.ExpiryDate)) {
+    errors.push(`ExpiryDate must be YYYY-MM-DD format, got: ${row.ExpiryDate}`);
+  }
+  
+  // Validate status if present
+  const statuses = InventoryImportSchema.status.enum;
+  if (!isEmptyValue(row.Status) && !statuses.includes(row.Status)) {
+    errors.push(`Status must be one of ${statuses.join(', ')}, got: ${row.Status}`);
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// ==========================================
+// COLUMN MAPPING
+// ==========================================
+
+/**
+ * Inventory columns the importer understands, with common WMS header aliases
+ */
+const INVENTORY_COLUMNS = [
+  { name: 'Location', required: true, aliases: ['warehouse', 'area', 'zone', 'site', 'location code'] },
+  { name: 'Bin', required: true, aliases: ['bin number', 'bin location', 'bin code', 'bin id', 'slot'] },
+  { name: 'PalletID', required: true, aliases: ['pallet', 'pallet id', 'pallet number', 'lp', 'lpn', 'license plate', 'license plate number'] },
+  { name: 'ItemNumber', required: true, aliases: ['item', 'item number', 'item code', 'item id', 'sku', 'part number', 'product code'] },
+  { name: 'SystemQuantity', required: true, aliases: ['on hand', 'quantity on hand', 'qty on hand', 'system qty', 'quantity', 'qty', 'available'] },
+  { name: 'Description', required: false, aliases: ['item description', 'display name', 'item name', 'product name'] },
+  { name: 'UOM', required: false, aliases: ['unit', 'units', 'unit of measure', 'stock unit'] },
+  { name: 'ExpiryDate', required: false, aliases: ['expiry', 'expiration', 'expiration date', 'exp date', 'best before'] },
+  { name: 'Status', required: false, aliases: ['inventory status', 'item status'] }
+];
+
+/**
+ * Lower-cases a header and strips whitespace and punctuation
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guesses which source header feeds each inventory column.
+ * Exact (normalized) column names win over aliases; each header is used once.
+ */
+function guessColumnMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  const normalized = headers.map(normalizeHeader);
+  
+  const claim = (column, candidates) => {
+    if (mapping[column]) return;
+    const index = normalized.findIndex((h, i) => !used.has(i) && candidates.includes(h));
+    if (index !== -1) {
+      mapping[column] = headers[index];
+      used.add(index);
+    }
+  };
+  
+  INVENTORY_COLUMNS.forEach(col => claim(col.name, [normalizeHeader(col.name)]));
+  INVENTORY_COLUMNS.forEach(col => claim(col.name, col.aliases.map(normalizeHeader)));
+  INVENTORY_COLUMNS.forEach(col => {
+    if (!mapping[col.name]) mapping[col.name] = null;
+  });
+  
+  return mapping;
+}
+
+/**
+ * Returns the required inventory columns that have no source header
+ */
+function getMissingMappedColumns(mapping) {
+  return INVENTORY_COLUMNS.filter(col => col.required && !mapping[col.name]).map(col => col.name);
+}
+
+/**
+ * Rewrites source rows so their keys are the inventory column names
+ */
+function applyColumnMapping(rows, mapping) {
+  const pairs = Object.entries(mapping).filter(([, source]) => source);
+  return rows.map(row => {
+    const mapped = {};
+    pairs.forEach(([column, source]) => {
+      if (row[source] !== undefined) mapped[column] = row[source];
+    });
+    return mapped;
+  });
+}
+
+/**
+ * Resolves a saved profile against the current headers, falling back to
+ * guesses for columns whose saved header is not present
+ */
+function resolveProfileMapping(profile, headers) {
+  const mapping = guessColumnMapping(headers);
+  Object.entries(profile.mapping).forEach(([column, source]) => {
+    if (source && headers.includes(source)) mapping[column] = source;
+  });
+  return mapping;
+}
+
+/**
+ * Validates and deduplicates every imported row.
+ * Rejected rows keep their spreadsheet row number (header is row 1).
+ */
+function buildImportReport(rows) {
+  const valid = [];
+  const rejected = [];
+  
+  rows.forEach((row, index) => {
+    const result = validateInventoryRow(row);
+    if (result.isValid) {
+      valid.push(row);
+    } else {
+      rejected.push({ rowNumber: index + 2, row: row, reasons: result.errors });
+    }
+  });
+  
+  const { unique, duplicates } = deduplicateRows(valid);
+  
+  return {
+    totalRows: rows.length,
+    accepted: unique,
+    rejected: rejected,
+    duplicates: duplicates
+  };
+}
+
+/**
+ * Deduplicates inventory rows
+ */
+function deduplicateRows(rows) {
+  const seen = new Map();
+  const duplicates = [];
+  
+  const unique = rows.filter(row => {
+    const key = `${row.PalletID}|${row.Bin}`;
+    if (seen.has(key)) {
+      duplicates.push({ ...row, reason: 'Duplicate PalletID+Bin' });
+      return false;
+    }
+    seen.set(key, row);
+    return true;
+  });
+  
+  return { unique, duplicates, deduplicationCount: duplicates.length };
+}
+
+/**
+ * Calculates variance statistics. Actions without a recorded tolerance
+ * result are judged against the built-in zero tolerance.
+ */
+function calculateVarianceStats(countActions) {
+  const stats = {
+    totalActions: countActions.length,
+    totalVariance: 0,
+    absoluteVariance: 0,
+    positiveVariances: [],
+    negativeVariances: [],
+    zeroVariances: [],
+    withinTolerance: [],
+    outsideTolerance: []
+  };
+  
+  countActions.forEach(action => {
+    stats.totalVariance += action.variance;
+    stats.absoluteVariance += Math.abs(action.variance);
+    
+    if (action.variance > 0) {
+      stats.positiveVariances.push(action);
+    } else if (action.variance < 0) {
+      stats.negativeVariances.push(action);
+    } else {
+      stats.zeroVariances.push(action);
+    }
+    
+    const within = typeof action.withinTolerance === 'boolean' ? action.withinTolerance : action.variance === 0;
+    (within ? stats.withinTolerance : stats.outsideTolerance).push(action);
+  });
+  
+  stats.varianceCount = stats.positiveVariances.length + stats.negativeVariances.length;
+  stats.accuracyPercentage = ((stats.zeroVariances.length / stats.totalActions) * 100).toFixed(2);
+  
+  return stats;
+}
+
+/**
+ * Calculates session metrics
+ */
+function calculateSessionMetrics(session, countActions) {
+  const duration = session.endTime ? session.endTime - session.startTime : Date.now() - session.startTime;
+  const durationSeconds = Math.floor(duration / 1000);
+  
+  return {
+    sessionId: session.sessionId,
+    location: session.location,
+    binsCount: session.bins.length,
+    totalPallets: session.totalPallets,
+    countedPallets: countActions.length,
+    completionPercentage: ((countActions.length / session.totalPallets) * 100).toFixed(2),
+    durationSeconds: durationSeconds,
+    durationFormatted: formatDuration(durationSeconds),
+    varianceCount: countActions.filter(a => a.variance !== 0).length,
+    flaggedCount: countActions.filter(a => a.flagged).length
+  };
+}
+
+function formatDuration(seconds) {
   const hours = Math.floor(seconds / 3600);
   const minutes = Math.floor((seconds % 3600) / 60);
   const secs = seconds % 60;
@@ -437,6 +1368,409 @@ function formatDuration(seconds) {
   }
 }
 
+// ==========================================
+// INVENTORY INDEX
+// ==========================================
+
+/**
+ * Indexes imported inventory by location, bin and pallet, once per
+ * import, so screens do not scan every row on each tap. Pallet IDs and
+ * item numbers are keyed trimmed and upper-cased, the way scans compare.
+ * A pallet ID found in more than one bin resolves to its first row, as a
+ * linear search would.
+ */
+function buildInventoryIndex(inventory) {
+  const index = {
+    size: inventory.length,
+    byPalletUpper: new Map(),
+    itemNumbersUpper: new Set(),
+    binsByLocation: new Map(),
+    palletsByBin: new Map(),
+    position: new Map(),
+    locations: []
+  };
+  inventory.forEach((pallet, position) => {
+    index.position.set(pallet, position);
+    const upper = String(pallet.PalletID).trim().toUpperCase();
+    if (!index.byPalletUpper.has(upper)) index.byPalletUpper.set(upper, pallet);
+    index.itemNumbersUpper.add(String(pallet.ItemNumber).trim().toUpperCase());
+
+    if (!index.binsByLocation.has(pallet.Location)) index.binsByLocation.set(pallet.Location, new Set());
+    index.binsByLocation.get(pallet.Location).add(pallet.Bin);
+    const key = inventoryBinKey(pallet.Location, pallet.Bin);
+    if (!index.palletsByBin.has(key)) index.palletsByBin.set(key, []);
+    index.palletsByBin.get(key).push(pallet);
+  });
+  index.locations = [...index.binsByLocation.keys()].sort();
+  index.binsByLocation.forEach((bins, location) => index.binsByLocation.set(location, [...bins].sort()));
+  return index;
+}
+
+function inventoryBinKey(location, bin) {
+  return location + '\u0000' + bin;
+}
+
+/** Sorted bin codes of a location */
+function getLocationBins(index, location) {
+  return index.binsByLocation.get(location) || [];
+}
+
+/**
+ * Pallets in the given bins of a location, in import order (the order a
+ * filter over the whole inventory would give)
+ */
+function getPalletsInBins(index, location, bins) {
+  const pallets = [...new Set(bins)].flatMap(bin => index.palletsByBin.get(inventoryBinKey(location, bin)) || []);
+  return bins.length > 1 ? pallets.sort((a, b) => index.position.get(a) - index.position.get(b)) : pallets;
+}
+
+// ==========================================
+// RECORD MAPPING
+// ==========================================
+
+/**
+ * Generates a RFC 4122 v4 UUID
+ */
+function generateUUID() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  });
+}
+
+function optionalString(val) {
+  return isEmptyValue(val) ? undefined : String(val);
+}
+
+/**
+ * Converts an imported spreadsheet row into an InventoryImport record
+ */
+function toInventoryRecord(row, importBatch, importedAt, rowIndex) {
+  return {
+    id: generateUUID(),
+    location: String(row.Location),
+    bin: String(row.Bin),
+    palletId: String(row.PalletID),
+    itemNumber: String(row.ItemNumber),
+    systemQuantity: parseInt(row.SystemQuantity),
+    description: optionalString(row.Description),
+    uom: optionalString(row.UOM),
+    expiryDate: optionalString(row.ExpiryDate),
+    status: optionalString(row.Status),
+    importedAt: importedAt,
+    importBatch: importBatch,
+    rowIndex: rowIndex
+  };
+}
+
+/**
+ * Converts an InventoryImport record back into the row shape used by the UI
+ */
+function fromInventoryRecord(record) {
+  return {
+    Location: record.location,
+    Bin: record.bin,
+    PalletID: record.palletId,
+    ItemNumber: record.itemNumber,
+    SystemQuantity: record.systemQuantity,
+    Description: record.description,
+    UOM: record.uom,
+    ExpiryDate: record.expiryDate,
+    Status: record.status
+  };
+}
+
+/**
+ * Puts stored InventoryImport records back in import order. The store
+ * returns them by their random id; records saved before rowIndex existed
+ * keep their store order after the rest.
+ */
+function sortInventoryRecords(records) {
+  const position = record => (record.rowIndex === undefined ? Number.MAX_SAFE_INTEGER : record.rowIndex);
+  return records.slice().sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * Returns the most recently started in-progress session, or null
+ */
+function findResumableSession(sessions) {
+  return sessions
+    .filter(session => session.status === 'in-progress' || session.status === 'paused')
+    .sort((a, b) => b.startTime - a.startTime)[0] || null;
+}
+
+// ==========================================
+// COUNT ACTIONS
+// ==========================================
+
+/**
+ * Builds an immutable CountActions record.
+ * Pass the pallet's previous action to record a recount as the next version.
+ */
+function createCountAction({ sessionId, pallet, countedQuantity, userId, flagged = false, notes, previous = null, timestamp, status, withinTolerance, toleranceRuleId }) {
+  return Object.freeze({
+    actionId: generateUUID(),
+    sessionId: sessionId,
+    palletId: pallet.PalletID,
+    bin: pallet.Bin,
+    itemNumber: pallet.ItemNumber,
+    systemQuantity: pallet.SystemQuantity,
+    countedQuantity: countedQuantity,
+    variance: countedQuantity - pallet.SystemQuantity,
+    timestamp: timestamp || new Date().toISOString(),
+    userId: userId,
+    flagged: flagged,
+    notes: notes || undefined,
+    status: status || (flagged ? 'flagged' : 'confirmed'),
+    version: previous ? previous.version + 1 : 1,
+    supersedes: previous ? previous.actionId : undefined,
+    actionType: 'count',
+    withinTolerance: withinTolerance,
+    toleranceRuleId: toleranceRuleId || undefined
+  });
+}
+
+/**
+ * Creates a found-pallet action for a pallet the import does not expect in
+ * the counted bin. System quantity is 0; when the import has the pallet
+ * elsewhere (systemPallet) it is flagged as a mislocated exception.
+ */
+function createFoundPalletAction({ sessionId, palletId, bin, itemNumber, countedQuantity, userId, reason, systemPallet = null, previous = null, timestamp }) {
+  const action = createCountAction({
+    sessionId,
+    pallet: { PalletID: palletId, Bin: bin, ItemNumber: itemNumber, SystemQuantity: 0 },
+    countedQuantity,
+    userId,
+    flagged: !!systemPallet,
+    notes: reason,
+    previous,
+    timestamp
+  });
+  return Object.freeze({
+    ...action,
+    actionType: 'found',
+    exception: systemPallet ? 'mislocated' : 'not_in_import',
+    systemLocation: systemPallet ? systemPallet.Location : undefined,
+    systemBin: systemPallet ? systemPallet.Bin : undefined
+  });
+}
+
+/**
+ * Returns the latest CountActions record per pallet, keyed by palletId
+ */
+function getLatestActions(countActions) {
+  const latest = {};
+  countActions.forEach(action => {
+    const current = latest[action.palletId];
+    if (!current || action.version > current.version) {
+      latest[action.palletId] = action;
+    }
+  });
+  return latest;
+}
+
+/**
+ * Returns the latest found-pallet actions (pallets added during counting)
+ */
+function getFoundPallets(latestActions) {
+  return Object.values(latestActions).filter(action => action.actionType === 'found');
+}
+
+/**
+ * Returns every count of a pallet, oldest first
+ */
+function getPalletHistory(countActions, palletId) {
+  return countActions
+    .filter(action => action.palletId === palletId)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Every pallet's counts, oldest first, keyed by palletId. One pass, for
+ * screens that show the history of many pallets at once.
+ */
+function groupPalletHistories(countActions) {
+  const histories = {};
+  countActions.forEach(action => {
+    (histories[action.palletId] = histories[action.palletId] || []).push(action);
+  });
+  Object.values(histories).forEach(history => history.sort((a, b) => a.version - b.version));
+  return histories;
+}
+
+// ==========================================
+// UNCOUNTED PALLETS
+// ==========================================
+
+/** Reasons an operator can give for skipping a pallet */
+const SKIP_REASONS = {
+  inaccessible: 'Bin Inaccessible',
+  label_unreadable: 'Label Unreadable',
+  needs_equipment: 'Needs Equipment',
+  out_of_time: 'Out of Time',
+  other: 'Other'
+};
+
+function createSkipEntry({ palletId, reasonCode, notes, userId, timestamp }) {
+  return Object.freeze({
+    palletId: palletId,
+    reasonCode: reasonCode,
+    notes: notes || undefined,
+    userId: userId,
+    timestamp: timestamp || new Date().toISOString()
+  });
+}
+
+/**
+ * Pallets in scope with no count at all, each with its latest skip entry
+ * (null if it was never skipped). A pallet counted as 0 is counted; a
+ * count after a skip replaces the skip.
+ *
+ * Returns [{ pallet, skip }] in pallet order.
+ */
+function getUncountedPallets(pallets, latestActions, skippedPallets = []) {
+  const latestSkip = {};
+  skippedPallets.forEach(entry => { latestSkip[entry.palletId] = entry; });
+  return pallets
+    .filter(pallet => !latestActions[pallet.PalletID])
+    .map(pallet => ({ pallet: pallet, skip: latestSkip[pallet.PalletID] || null }));
+}
+
+// ==========================================
+// VARIANCE TOLERANCE
+// ==========================================
+
+/** Applied when no rule matches: any variance needs a recount */
+const DEFAULT_TOLERANCE = Object.freeze({ ruleId: null, scope: 'default', match: '', mode: 'absolute', value: 0 });
+
+/** Most specific scope first */
+const TOLERANCE_SCOPES = ['item', 'uom', 'location', 'default'];
+
+function toleranceRuleId(scope, match) {
+  return scope === 'default' ? 'default' : `${scope}:${String(match).trim().toUpperCase()}`;
+}
+
+/**
+ * Picks the rule for a pallet: item rule, then UOM, then location, then
+ * the default rule, then DEFAULT_TOLERANCE
+ */
+function findToleranceRule(rules, pallet) {
+  const keys = {
+    item: toleranceRuleId('item', pallet.ItemNumber || ''),
+    uom: toleranceRuleId('uom', pallet.UOM || 'Unit'),
+    location: toleranceRuleId('location', pallet.Location || ''),
+    default: toleranceRuleId('default')
+  };
+  for (const scope of TOLERANCE_SCOPES) {
+    const rule = rules.find(r => r.ruleId === keys[scope]);
+    if (rule) return rule;
+  }
+  return DEFAULT_TOLERANCE;
+}
+
+/**
+ * Largest variance (either direction) a rule allows for a system quantity
+ */
+function allowedVariance(rule, systemQuantity) {
+  return rule.mode === 'percent' ? (Math.abs(systemQuantity) * rule.value) / 100 : rule.value;
+}
+
+function isWithinTolerance(variance, systemQuantity, rule) {
+  return Math.abs(variance) <= allowedVariance(rule, systemQuantity);
+}
+
+function describeToleranceRule(rule) {
+  return rule.mode === 'percent' ? `±${rule.value}%` : `±${rule.value} units`;
+}
+
+/**
+ * Status for a new count of a pallet. A count outside tolerance needs an
+ * independent recount; if the recount is still outside tolerance the
+ * pallet goes to supervisor review.
+ */
+function resolveCountStatus({ flagged, withinTolerance, previous }) {
+  if (flagged) return 'flagged';
+  if (withinTolerance) return 'confirmed';
+  const isRecount = !!previous && ['recount_required', 'pending_review'].includes(previous.status);
+  return isRecount ? 'pending_review' : 'recount_required';
+}
+
+// ==========================================
+// SUPERVISOR REVIEW
+// ==========================================
+
+/** Write-off reason codes, with the labels shown to supervisors */
+const WRITE_OFF_REASONS = {
+  damaged: 'Damaged',
+  theft: 'Theft / Loss',
+  expired: 'Expired',
+  miscount: 'Previous Miscount',
+  unit_of_measure: 'Unit of Measure Error',
+  system_error: 'System Error',
+  other: 'Other'
+};
+
+/** Status each supervisor decision gives the pallet */
+const REVIEW_DECISION_STATUS = {
+  approved: 'approved',
+  recount: 'recount_required',
+  written_off: 'written_off'
+};
+
+function needsSupervisorReview(action) {
+  return action.status === 'flagged' || action.status === 'pending_review';
+}
+
+/**
+ * Returns the latest action of every pallet awaiting review, across
+ * sessions, oldest first
+ */
+function getReviewQueue(countActions) {
+  const bySession = {};
+  countActions.forEach(action => {
+    (bySession[action.sessionId] = bySession[action.sessionId] || []).push(action);
+  });
+  return Object.values(bySession)
+    .reduce((queue, actions) => queue.concat(Object.values(getLatestActions(actions))), [])
+    .filter(needsSupervisorReview)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Records a supervisor decision as the next version of the reviewed
+ * action. The counted quantity carries over; a recount decision sends the
+ * pallet back to the counting floor.
+ */
+function createReviewAction({ action, decision, reviewer, reasonCode, comment, timestamp }) {
+  return Object.freeze({
+    ...action,
+    actionId: generateUUID(),
+    timestamp: timestamp || new Date().toISOString(),
+    userId: reviewer,
+    flagged: false,
+    notes: comment || undefined,
+    status: REVIEW_DECISION_STATUS[decision],
+    version: action.version + 1,
+    supersedes: action.actionId,
+    reviewDecision: decision,
+    reasonCode: decision === 'written_off' ? reasonCode : undefined
+  });
+}
+
+/**
+ * Session status after submission or a supervisor decision: back in
+ * progress while a recount is outstanding, completed while counts await
+ * review, submitted once everything is resolved
+ */
+function resolveSessionStatus(latestActions) {
+  if (latestActions.some(action => action.status === 'recount_required')) return 'in-progress';
+  if (latestActions.some(needsSupervisorReview)) return 'completed';
+  return 'submitted';
+}
+
 // ==========================================
 // EXPORT
 // ==========================================
@@ -447,10 +1781,62 @@ if (typeof module !== 'undefined' && module.exports) {
     CountSessionsSchema,
     CountActionsSchema,
     AuditLogSchema,
+    ImportProfilesSchema,
+    ToleranceRulesSchema,
+    BinHierarchiesSchema,
+    UsersSchema,
+    SignInAttemptsSchema,
+    SigningKeysSchema,
+    SessionSignaturesSchema,
+    KeyVaultSchema,
+    SessionPackagesSchema,
+    SyncConfigSchema,
+    SyncOutboxSchema,
+    TABLE_SCHEMAS,
+    validateRecord,
+    formatValidationErrors,
     validateInventoryRow,
+    INVENTORY_COLUMNS,
+    normalizeHeader,
+    guessColumnMapping,
+    getMissingMappedColumns,
+    applyColumnMapping,
+    resolveProfileMapping,
+    buildImportReport,
     deduplicateRows,
+    buildInventoryIndex,
+    getLocationBins,
+    getPalletsInBins,
     calculateVarianceStats,
     calculateSessionMetrics,
-    formatDuration
+    formatDuration,
+    generateUUID,
+    toInventoryRecord,
+    fromInventoryRecord,
+    sortInventoryRecords,
+    findResumableSession,
+    createCountAction,
+    createFoundPalletAction,
+    getLatestActions,
+    getFoundPallets,
+    getPalletHistory,
+    groupPalletHistories,
+    SKIP_REASONS,
+    createSkipEntry,
+    getUncountedPallets,
+    DEFAULT_TOLERANCE,
+    TOLERANCE_SCOPES,
+    toleranceRuleId,
+    findToleranceRule,
+    allowedVariance,
+    isWithinTolerance,
+    describeToleranceRule,
+    resolveCountStatus,
+    WRITE_OFF_REASONS,
+    REVIEW_DECISION_STATUS,
+    needsSupervisorReview,
+    getReviewQueue,
+    createReviewAction,
+    resolveSessionStatus
   };
 }
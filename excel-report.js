@@ -0,0 +1,183 @@
+/**
+ * Secure Bin Cycle Count - Excel Report Workbook
+ *
+ * Builds the multi-sheet Excel report. SheetJS Community Edition writes
+ * typed cells, number formats, column widths and autofilters, but not
+ * frozen panes, cell styles or conditional formatting; those are added to
+ * the written .xlsx package afterwards with the zip support bundled in
+ * SheetJS (XLSX.CFB). Uses the XLSX global from vendor/xlsx.full.min.js.
+ */
+
+// ==========================================
+// SHEETS
+// ==========================================
+
+const EXCEL_FORMATS = {
+  integer: '0',
+  signed: '+0;-0;0',
+  percent: '0.00%',
+  date: 'yyyy-mm-dd',
+  dateTime: 'yyyy-mm-dd hh:mm:ss'
+};
+
+/** Fill and font colours of over and under variances */
+const VARIANCE_COLORS = {
+  over: { font: 'FF166534', fill: 'FFDCFCE7' },
+  under: { font: 'FF991B1B', fill: 'FFFEE2E2' }
+};
+
+const HEADER_FILL = 'FFE2E8F0';
+
+/**
+ * Parses a YYYY-MM-DD or ISO timestamp into a Date for a typed date cell.
+ * Anything else (including empty values) is returned unchanged.
+ */
+function toExcelDate(value) {
+  if (typeof value !== 'string') return value;
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (day) return new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date) ? value : date;
+  }
+  return value;
+}
+
+/**
+ * A number cell with its own format, for sheets like Summary where each
+ * row holds a different kind of value
+ */
+function excelNumber(value, format) {
+  return { t: 'n', v: value, z: format };
+}
+
+/**
+ * Builds one worksheet from a sheet spec:
+ *   { name, rows, headerRow = 0, widths, formats: { column: numFmt },
+ *     variance: [column], autofilter = true }
+ * headerRow is the index of the column header row, or null for a sheet
+ * without one. Columns are zero-based indexes.
+ */
+function createReportSheet({ rows, headerRow = 0, widths = [], formats = {}, autofilter = true }) {
+  const sheet = XLSX.utils.aoa_to_sheet(rows, { dateNF: EXCEL_FORMATS.dateTime });
+  const lastColumn = rows.reduce((max, row) => Math.max(max, row.length), 1) - 1;
+
+  Object.entries(formats).forEach(([column, format]) => {
+    for (let r = (headerRow ?? -1) + 1; r < rows.length; r++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r: r, c: Number(column) })];
+      if (cell && cell.t === 'n') cell.z = format;
+    }
+  });
+  sheet['!cols'] = widths.map(wch => ({ wch: wch }));
+  if (headerRow !== null && autofilter && rows.length > headerRow + 1) {
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: headerRow, c: 0 }, e: { r: rows.length - 1, c: lastColumn } }) };
+  }
+  return sheet;
+}
+
+// ==========================================
+// PACKAGE FORMATTING
+// ==========================================
+
+/** Column letter for a zero-based column index (0 -> A, 26 -> AA) */
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Appends an item to a counted styles.xml collection (fonts, fills,
+ * cellXfs). Returns the new XML and the item's index.
+ */
+function appendStyleItem(xml, tag, item) {
+  let index = 0;
+  const updated = xml.replace(new RegExp(`<${tag} count="(\\d+)">([\\s\\S]*?)</${tag}>`), (_, count, items) => {
+    index = Number(count);
+    return `<${tag} count="${index + 1}">${items}${item}</${tag}>`;
+  });
+  return { xml: updated, index: index };
+}
+
+/** Adds a bold header style and the variance highlight styles to styles.xml */
+function addReportStyles(stylesXml) {
+  const font = appendStyleItem(stylesXml, 'fonts', '<font><b/><sz val="12"/><color theme="1"/><name val="Calibri"/><family val="2"/><scheme val="minor"/></font>');
+  const fill = appendStyleItem(font.xml, 'fills', `<fill><patternFill patternType="solid"><fgColor rgb="${HEADER_FILL}"/><bgColor indexed="64"/></patternFill></fill>`);
+  const header = appendStyleItem(fill.xml, 'cellXfs', `<xf numFmtId="0" fontId="${font.index}" fillId="${fill.index}" borderId="0" xfId="0" applyFont="1" applyFill="1"/>`);
+
+  const dxf = ({ font, fill }) => `<dxf><font><color rgb="${font}"/></font><fill><patternFill><bgColor rgb="${fill}"/></patternFill></fill></dxf>`;
+  const xml = header.xml.replace(/<dxfs count="0"\/>/, `<dxfs count="2">${dxf(VARIANCE_COLORS.over)}${dxf(VARIANCE_COLORS.under)}</dxfs>`);
+  return { xml: xml, headerStyle: header.index, overDxf: 0, underDxf: 1 };
+}
+
+/**
+ * Freezes the rows down to the header, styles the header cells and
+ * colours variance columns: green when over, red when under
+ */
+function formatSheetXml(sheetXml, spec, styles) {
+  if (spec.headerRow === null) return sheetXml;
+  const rowNumber = (spec.headerRow ?? 0) + 1;
+  let xml = sheetXml.replace(/<sheetView([^>]*?)\/>/, `<sheetView$1><pane ySplit="${rowNumber}" topLeftCell="A${rowNumber + 1}" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft"/></sheetView>`);
+
+  xml = xml.replace(new RegExp(`<row r="${rowNumber}"[^>]*>[\\s\\S]*?</row>`), row =>
+    row.replace(/<c r="([A-Z]+\d+)"(?! s=)/g, `<c r="$1" s="${styles.headerStyle}"`));
+
+  const lastRow = spec.rows.length;
+  if ((spec.variance || []).length > 0 && lastRow > rowNumber) {
+    let priority = 1;
+    const rules = spec.variance.map(column => {
+      const letter = columnLetter(column);
+      return `<conditionalFormatting sqref="${letter}${rowNumber + 1}:${letter}${lastRow}">` +
+        `<cfRule type="cellIs" dxfId="${styles.overDxf}" priority="${priority++}" operator="greaterThan"><formula>0</formula></cfRule>` +
+        `<cfRule type="cellIs" dxfId="${styles.underDxf}" priority="${priority++}" operator="lessThan"><formula>0</formula></cfRule>` +
+        '</conditionalFormatting>';
+    }).join('');
+    // conditionalFormatting goes before these elements in the worksheet schema
+    const next = xml.search(/<(dataValidations|hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|rowBreaks|colBreaks|ignoredErrors|drawing|legacyDrawing|tableParts|extLst)[\s>/]/);
+    const at = next === -1 ? xml.lastIndexOf('</worksheet>') : next;
+    xml = xml.slice(0, at) + rules + xml.slice(at);
+  }
+  return xml;
+}
+
+/**
+ * Writes the sheets (see createReportSheet) as a formatted .xlsx file.
+ * Returns the file bytes.
+ */
+function writeReportWorkbook(sheets) {
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach(spec => XLSX.utils.book_append_sheet(workbook, createReportSheet(spec), spec.name));
+  const written = XLSX.write(workbook, { type: 'array', bookType: 'xlsx', compression: true });
+
+  const zip = XLSX.CFB.read(new Uint8Array(written), { type: 'array' });
+  const readXml = path => new TextDecoder().decode(Uint8Array.from(XLSX.CFB.find(zip, path).content));
+  const writeXml = (path, xml) => XLSX.CFB.utils.cfb_add(zip, path, new TextEncoder().encode(xml));
+
+  const styles = addReportStyles(readXml('/xl/styles.xml'));
+  writeXml('/xl/styles.xml', styles.xml);
+  sheets.forEach((spec, i) => {
+    const path = '/xl/worksheets/sheet' + (i + 1) + '.xml';
+    writeXml(path, formatSheetXml(readXml(path), spec, styles));
+  });
+  return new Uint8Array(XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true }));
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXCEL_FORMATS,
+    VARIANCE_COLORS,
+    toExcelDate,
+    excelNumber,
+    createReportSheet,
+    columnLetter,
+    addReportStyles,
+    formatSheetXml,
+    writeReportWorkbook
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * Secure Bin Cycle Count - Import Parsers
+ *
+ * Turns CSV/TSV and JSON inventory files into the same { headers, rows }
+ * table the Excel importer produces, so every format goes through the
+ * same column mapping, validation and deduplication.
+ */
+
+// ==========================================
+// FORMAT DETECTION
+// ==========================================
+
+const IMPORT_FORMATS = {
+  xlsx: ['.xlsx', '.xls'],
+  csv: ['.csv', '.txt'],
+  tsv: ['.tsv', '.tab'],
+  json: ['.json']
+};
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Returns 'xlsx', 'csv', 'tsv' or 'json' from a file name, or null
+ */
+function detectImportFormat(fileName) {
+  const lower = String(fileName).toLowerCase();
+  const match = Object.entries(IMPORT_FORMATS).find(([, extensions]) =>
+    extensions.some(ext => lower.endsWith(ext))
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Decodes file bytes, honouring BOMs and falling back to Windows-1252
+ * when the content is not valid UTF-8
+ */
+function decodeText(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+  }
+  // UTF-16 without BOM: ASCII text leaves every other byte empty
+  if (bytes.length >= 4 && bytes[1] === 0 && bytes[3] === 0 && bytes[0] !== 0) {
+    return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+  }
+  if (bytes.length >= 4 && bytes[0] === 0 && bytes[2] === 0 && bytes[1] !== 0) {
+    return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (err) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the most,
+ * and most consistent, number of fields
+ */
+function detectDelimiter(text) {
+  const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, 10);
+  let best = { delimiter: ',', score: 0 };
+
+  CSV_DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    if (counts.length === 0 || counts[0] === 0) return;
+    const consistent = counts.filter(count => count === counts[0]).length;
+    const score = consistent * 1000 + counts[0];
+    if (score > best.score) best = { delimiter, score };
+  });
+
+  return best.delimiter;
+}
+
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let inQuotes = false;
+  for (const c of line) {
+    if (c === '"') inQuotes = !inQuotes;
+    else if (c === delimiter && !inQuotes) count++;
+  }
+  return count;
+}
+
+// ==========================================
+// CSV / TSV
+// ==========================================
+
+/**
+ * Splits delimited text into records (RFC 4180 quoting: "" escapes a quote,
+ * quoted fields may contain delimiters and line breaks). Blank lines are skipped.
+ */
+function parseDelimitedText(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteLine = 0;
+  let line = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    if (!(record.length === 1 && record[0].trim() === '')) records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"' && field.trim() === '') {
+      inQuotes = true;
+      quoteLine = line;
+      field = '';
+    } else if (c === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += c;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Builds { headers, rows } from delimited text, using the first record as headers
+ */
+function parseDelimitedTable(text, delimiter) {
+  const records = parseDelimitedText(text, delimiter);
+  if (records.length === 0) return { headers: [], rows: [] };
+
+  const headers = uniqueHeaders(records[0].map(h => h.trim()));
+  const rows = records.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Renames blank or repeated headers so every column keeps its own key
+ */
+function uniqueHeaders(headers) {
+  const seen = {};
+  return headers.map((header, index) => {
+    const base = header || `Column ${index + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+  });
+}
+
+// ==========================================
+// JSON
+// ==========================================
+
+/**
+ * Builds { headers, rows } from a JSON array of records. API dumps that wrap
+ * the array in an object (e.g. { "items": [...] }) are unwrapped, and nested
+ * objects are flattened to dotted keys.
+ */
+function parseJsonTable(text) {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data)
+    ? data
+    : Object.values(data || {}).find(val => Array.isArray(val));
+
+  if (!records) {
+    throw new Error('JSON must be an array of inventory records');
+  }
+
+  const headers = [];
+  const rows = records.map((record, index) => {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error(`JSON record ${index + 1} is not an object`);
+    }
+    const row = flattenRecord(record);
+    Object.keys(row).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+function flattenRecord(record, prefix = '') {
+  const flat = {};
+  Object.entries(record).forEach(([key, val]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (val !== null && typeof val === 'object' && !Array.isArray(val)) {
+      Object.assign(flat, flattenRecord(val, name));
+    } else {
+      flat[name] = val;
+    }
+  });
+  return flat;
+}
+
+// ==========================================
+// IMPORT SOURCES
+// ==========================================
+
+/**
+ * Reads an import file's bytes into every sheet's { headers, rows }:
+ * { fileName, format, encoding, delimiter, sheetNames, sheets }.
+ * Workbooks need the XLSX global. onProgress({ stage, done, total }) is
+ * called as the file is parsed ('parse') and each sheet is read ('sheets').
+ * Runs in import-worker.js, or on the page when workers are unavailable.
+ */
+function readImportSource(fileName, format, data, onProgress = () => {}) {
+  onProgress({ stage: 'parse', done: 0, total: 1 });
+  if (format !== 'xlsx') {
+    const { text, encoding } = decodeText(data);
+    const delimiter = format === 'tsv' ? '\t' : (format === 'csv' ? detectDelimiter(text) : null);
+    const table = format === 'json' ? parseJsonTable(text) : parseDelimitedTable(text, delimiter);
+    return { fileName, format, encoding, delimiter, sheetNames: [fileName], sheets: { [fileName]: table } };
+  }
+
+  const workbook = XLSX.read(data, { type: 'array' });
+  const sheets = {};
+  workbook.SheetNames.forEach((name, index) => {
+    onProgress({ stage: 'sheets', done: index, total: workbook.SheetNames.length });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: '' });
+    sheets[name] = { headers: rows.length > 0 ? Object.keys(rows[0]) : [], rows };
+  });
+  return { fileName, format, encoding: null, delimiter: null, sheetNames: workbook.SheetNames, sheets };
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    IMPORT_FORMATS,
+    detectImportFormat,
+    decodeText,
+    detectDelimiter,
+    parseDelimitedText,
+    parseDelimitedTable,
+    parseJsonTable,
+    readImportSource
+  };
+}
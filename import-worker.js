@@ -0,0 +1,22 @@
+/**
+ * Secure Bin Cycle Count - Import Worker
+ *
+ * Parses import files off the page, so a large workbook does not freeze
+ * the screen. Receives { fileName, format, data } and posts
+ * { type: 'progress', stage, done, total } messages, then
+ * { type: 'done', source } or { type: 'error', error }.
+ */
+
+importScripts('vendor/xlsx.full.min.js', 'import-parsers.js');
+
+self.addEventListener('message', event => {
+  const { fileName, format, data } = event.data;
+  try {
+    const source = readImportSource(fileName, format, new Uint8Array(data), progress => {
+      self.postMessage({ type: 'progress', ...progress });
+    });
+    self.postMessage({ type: 'done', source: source });
+  } catch (err) {
+    self.postMessage({ type: 'error', error: err.message });
+  }
+});
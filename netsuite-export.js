@@ -0,0 +1,151 @@
+/**
+ * Secure Bin Cycle Count - NetSuite Adjustment Export
+ *
+ * Turns the resolved variances of count sessions into inventory
+ * adjustments, one per location, so they can be loaded into NetSuite
+ * instead of being retyped: a CSV file for the CSV Import Assistant and a
+ * JSON payload shaped like the REST inventoryAdjustment record.
+ * Uses getLatestActions from data-schema.js.
+ */
+
+// ==========================================
+// ADJUSTMENT LINES
+// ==========================================
+
+/** Count statuses whose variance is settled and can be posted */
+const ADJUSTABLE_STATUSES = ['confirmed', 'approved', 'written_off'];
+
+/** Reason code for variances that were not written off */
+const CYCLE_COUNT_REASON = 'cycle_count';
+
+/** Line custom field that carries the reason code in the REST payload */
+const NETSUITE_REASON_FIELD = 'custcol_cycle_count_reason';
+
+const NETSUITE_CSV_COLUMNS = ['External ID', 'Date', 'Adjustment Location', 'Memo', 'Item', 'Location', 'Bin', 'Adjust Qty By', 'Units', 'Reason Code', 'Line Memo'];
+
+/**
+ * Builds adjustment lines from the latest count of every pallet in the
+ * given sessions. Pallets with no variance are left out. Counts that are
+ * still flagged, awaiting review or awaiting a recount are returned in
+ * `unresolved`, and mislocated found pallets in `mislocated`: moving a
+ * pallet between bins is a bin transfer, not an adjustment.
+ *
+ * `inventory` is the imported inventory (for each pallet's UOM).
+ * Returns { lines, unresolved, mislocated }.
+ */
+function buildAdjustmentLines({ sessions, actions, inventory = [] }) {
+  const sessionsById = Object.fromEntries(sessions.map(session => [session.sessionId, session]));
+  const uomByPallet = Object.fromEntries(inventory.map(pallet => [pallet.PalletID, pallet.UOM]));
+  const uomByItem = Object.fromEntries(inventory.map(pallet => [pallet.ItemNumber, pallet.UOM]));
+  const result = { lines: [], unresolved: [], mislocated: [] };
+
+  sessions.forEach(session => {
+    const latest = Object.values(getLatestActions(actions.filter(action => action.sessionId === session.sessionId)));
+    latest.sort((a, b) => a.palletId.localeCompare(b.palletId)).forEach(action => {
+      if (action.variance === 0) return;
+      if (!ADJUSTABLE_STATUSES.includes(action.status)) {
+        result.unresolved.push(action);
+        return;
+      }
+      if (action.exception === 'mislocated') {
+        result.mislocated.push(action);
+        return;
+      }
+      result.lines.push({
+        sessionId: action.sessionId,
+        palletId: action.palletId,
+        location: sessionsById[action.sessionId].location,
+        itemNumber: action.itemNumber,
+        bin: action.bin,
+        adjustQtyBy: action.variance,
+        uom: uomByPallet[action.palletId] || uomByItem[action.itemNumber] || 'Unit',
+        reasonCode: action.status === 'written_off' && action.reasonCode ? action.reasonCode : CYCLE_COUNT_REASON,
+        memo: 'Cycle count ' + action.sessionId + ' pallet ' + action.palletId
+      });
+    });
+  });
+  return result;
+}
+
+/**
+ * Groups adjustment lines into one adjustment per location. The external
+ * ID names the sessions, so importing the same file twice is caught by
+ * NetSuite as a duplicate. `date` is the transaction date (YYYY-MM-DD).
+ */
+function groupAdjustmentsByLocation(lines, date) {
+  const byLocation = {};
+  lines.forEach(line => {
+    (byLocation[line.location] = byLocation[line.location] || []).push(line);
+  });
+  return Object.keys(byLocation).sort().map(location => {
+    const sessionIds = [...new Set(byLocation[location].map(line => line.sessionId))].sort();
+    return {
+      externalId: 'CC-' + sessionIds.join('+') + '-' + location,
+      date: date,
+      location: location,
+      memo: 'Cycle count ' + sessionIds.join(', '),
+      lines: byLocation[location]
+    };
+  });
+}
+
+// ==========================================
+// FORMATS
+// ==========================================
+
+/** CSV Import Assistant file: one row per line, header fields repeated */
+function toAdjustmentCsv(adjustments) {
+  const quote = value => '"' + String(value ?? '').replace(/"/g, '""') + '"';
+  const rows = [NETSUITE_CSV_COLUMNS];
+  adjustments.forEach(adjustment => {
+    adjustment.lines.forEach(line => {
+      rows.push([adjustment.externalId, adjustment.date, adjustment.location, adjustment.memo, line.itemNumber, line.location, line.bin, line.adjustQtyBy, line.uom, line.reasonCode, line.memo]);
+    });
+  });
+  return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * REST inventoryAdjustment records. References carry names from the
+ * import (refName), since this app does not know NetSuite internal IDs.
+ */
+function toInventoryAdjustmentRecords(adjustments) {
+  return adjustments.map(adjustment => ({
+    externalId: adjustment.externalId,
+    tranDate: adjustment.date,
+    adjLocation: { refName: adjustment.location },
+    memo: adjustment.memo,
+    inventory: {
+      items: adjustment.lines.map(line => ({
+        item: { refName: line.itemNumber },
+        location: { refName: line.location },
+        adjustQtyBy: line.adjustQtyBy,
+        units: { refName: line.uom },
+        memo: line.memo,
+        [NETSUITE_REASON_FIELD]: line.reasonCode,
+        inventoryDetail: {
+          inventoryAssignment: {
+            items: [{ binNumber: { refName: line.bin }, quantity: line.adjustQtyBy }]
+          }
+        }
+      }))
+    }
+  }));
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ADJUSTABLE_STATUSES,
+    CYCLE_COUNT_REASON,
+    NETSUITE_REASON_FIELD,
+    NETSUITE_CSV_COLUMNS,
+    buildAdjustmentLines,
+    groupAdjustmentsByLocation,
+    toAdjustmentCsv,
+    toInventoryAdjustmentRecords
+  };
+}
@@ -0,0 +1,386 @@
+/**
+ * Secure Bin Cycle Count - PDF Report
+ *
+ * Writes reports as text PDFs, with no library: the standard Helvetica
+ * fonts need no embedding, so a page is only text and line operators.
+ * Text stays sharp at any zoom and can be searched and copied. Every page
+ * gets the report header and a "Page N of M" footer. Rows are laid out in
+ * one pass, so sessions with thousands of pallets stay fast.
+ */
+
+// ==========================================
+// PDF WRITER
+// ==========================================
+
+/** A4 portrait, in points */
+const PDF_A4 = [595.28, 841.89];
+
+/** Helvetica and Helvetica-Bold advance widths for characters 32-126, in 1/1000 em */
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/** Characters outside Latin-1 that WinAnsiEncoding has, with their code and width */
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556], '…': [0x85, 1000], '‘': [0x91, 222], '’': [0x92, 222],
+  '“': [0x93, 333], '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000]
+};
+
+/**
+ * Encodes text for a Helvetica string. Characters the font cannot show
+ * become '?'; a minus sign becomes a hyphen.
+ */
+function toWinAnsi(text) {
+  let encoded = '';
+  for (const char of String(text ?? '').replace(/−/g, '-')) {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI_EXTRAS[char]) encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char][0]);
+    else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) encoded += char;
+    else encoded += char === '\t' || char === '\n' ? ' ' : '?';
+  }
+  return encoded;
+}
+
+/** Width of text in points */
+function pdfTextWidth(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const extras = Object.values(WIN_ANSI_EXTRAS);
+  let total = 0;
+  const encoded = toWinAnsi(text);
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    const extra = code < 160 && code > 126 ? extras.find(([c]) => c === code) : null;
+    total += code >= 32 && code <= 126 ? widths[code - 32] : extra ? extra[1] : 556;
+  }
+  return total * size / 1000;
+}
+
+/** Shortens text with an ellipsis so it fits in maxWidth points */
+function fitText(text, maxWidth, size, bold = false) {
+  const value = String(text ?? '');
+  if (pdfTextWidth(value, size, bold) <= maxWidth) return value;
+  let low = 0;
+  let high = value.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pdfTextWidth(value.slice(0, mid) + '…', size, bold) <= maxWidth) low = mid;
+    else high = mid - 1;
+  }
+  return value.slice(0, low) + '…';
+}
+
+/** Splits text into lines no wider than maxWidth, breaking long words */
+function wrapText(text, maxWidth, size, bold = false) {
+  const lines = [];
+  let line = '';
+  String(text ?? '').split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? line + ' ' + word : word;
+    if (pdfTextWidth(candidate, size, bold) <= maxWidth) {
+      line = candidate;
+      return;
+    }
+    if (line) lines.push(line);
+    line = word;
+    while (pdfTextWidth(line, size, bold) > maxWidth) {
+      let cut = line.length - 1;
+      while (cut > 1 && pdfTextWidth(line.slice(0, cut), size, bold) > maxWidth) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  });
+  if (line) lines.push(line);
+  return lines.length > 0 ? lines : [''];
+}
+
+const pdfNumber = value => (Math.round(value * 100) / 100).toString();
+const pdfColor = color => color.map(pdfNumber).join(' ');
+const pdfString = text => '(' + toWinAnsi(text).replace(/[\\()]/g, '\\$&') + ')';
+
+function pdfDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return 'D:' + date.getUTCFullYear() + pad(date.getUTCMonth() + 1) + pad(date.getUTCDate()) +
+    pad(date.getUTCHours()) + pad(date.getUTCMinutes()) + pad(date.getUTCSeconds()) + 'Z';
+}
+
+/**
+ * A PDF under construction. Coordinates are in points from the top-left
+ * corner of the page. Call addPage() before drawing, output() at the end.
+ */
+function createPdfDocument({ title = '', pageSize = PDF_A4, createdAt = new Date() } = {}) {
+  const [width, height] = pageSize;
+  const pages = [];
+  let ops = null;
+
+  return {
+    width: width,
+    height: height,
+    pages: pages,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return pages.length;
+    },
+
+    /** Draws text on the current page (or pageNumber) with its baseline at y */
+    text(value, x, y, { size = 9, bold = false, align = 'left', color = [0, 0, 0], pageNumber } = {}) {
+      const target = pageNumber ? pages[pageNumber - 1] : ops;
+      const shift = align === 'right' ? pdfTextWidth(value, size, bold) : align === 'center' ? pdfTextWidth(value, size, bold) / 2 : 0;
+      target.push(`BT ${pdfColor(color)} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${pdfNumber(x - shift)} ${pdfNumber(height - y)} Td ${pdfString(value)} Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { width: lineWidth = 0.5, color = [0.8, 0.84, 0.88], pageNumber } = {}) {
+      const target = pageNumber ? pages[pageNumber - 1] : ops;
+      target.push(`${pdfColor(color)} RG ${pdfNumber(lineWidth)} w ${pdfNumber(x1)} ${pdfNumber(height - y1)} m ${pdfNumber(x2)} ${pdfNumber(height - y2)} l S`);
+    },
+
+    fillRect(x, y, w, h, color) {
+      ops.push(`${pdfColor(color)} rg ${pdfNumber(x)} ${pdfNumber(height - y - h)} ${pdfNumber(w)} ${pdfNumber(h)} re f`);
+    },
+
+    /** The finished file as bytes */
+    output() {
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => (6 + i * 2) + ' 0 R').join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title ${pdfString(title)} /Producer (Secure Bin Cycle Count) /CreationDate (${pdfDate(createdAt)}) >>`
+      ];
+      pages.forEach((pageOps, i) => {
+        const content = pageOps.join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(width)} ${pdfNumber(height)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      });
+
+      // Every character is a single byte, so string offsets are byte offsets
+      const chunks = ['%PDF-1.4\n%âãÏÓ\n'];
+      let offset = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const chunk = `${i + 1} 0 obj\n${body}\nendobj\n`;
+        chunks.push(chunk);
+        const start = offset;
+        offset += chunk.length;
+        return start;
+      });
+      chunks.push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(start => String(start).padStart(10, '0') + ' 00000 n \n').join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${offset}\n%%EOF\n`);
+
+      const file = chunks.join('');
+      const bytes = new Uint8Array(file.length);
+      for (let i = 0; i < file.length; i++) bytes[i] = file.charCodeAt(i);
+      return bytes;
+    }
+  };
+}
+
+// ==========================================
+// REPORT LAYOUT
+// ==========================================
+
+const REPORT_MARGIN = 40;
+const REPORT_COLORS = {
+  text: [0.06, 0.09, 0.16],
+  muted: [0.4, 0.45, 0.53],
+  rule: [0.8, 0.84, 0.88],
+  headerFill: [0.89, 0.91, 0.94],
+  boxFill: [0.95, 0.96, 0.98]
+};
+
+/**
+ * Lays out a report:
+ *  - a summary page: title, details ([label, value]), summary figures
+ *    ([label, value]) and notes (paragraphs)
+ *  - sections, from the second page: { title, columns: [{ title, width,
+ *    align }], rows, empty }. Column widths are fractions of the page width;
+ *    the column header repeats on every page a table spans.
+ *  - a sign-off block: signature lines for each { role, name }, followed by
+ *    signature details ([label, value])
+ *
+ * header ({ title, subtitle }) and footer (text) repeat on every page.
+ * Returns the PDF bytes.
+ */
+function buildReportPdf({ header, footer, title, details = [], summary = [], notes = [], sections = [], signOff = [], signature = [], createdAt = new Date() }) {
+  const doc = createPdfDocument({ title: header.title + ' ' + header.subtitle, createdAt: createdAt });
+  const left = REPORT_MARGIN;
+  const right = doc.width - REPORT_MARGIN;
+  const contentWidth = right - left;
+  const top = REPORT_MARGIN + 30;
+  const bottom = doc.height - REPORT_MARGIN - 24;
+  let y = top;
+
+  const newPage = () => {
+    doc.addPage();
+    y = top;
+  };
+  const ensureSpace = needed => {
+    if (y + needed > bottom) newPage();
+  };
+  const paragraph = (text, { size = 9, bold = false, color = REPORT_COLORS.text, gap = 4 } = {}) => {
+    wrapText(text, contentWidth, size, bold).forEach(line => {
+      ensureSpace(size + gap);
+      y += size + gap;
+      doc.text(line, left, y, { size, bold, color });
+    });
+  };
+  const heading = text => {
+    ensureSpace(40);
+    y += 22;
+    doc.text(text, left, y, { size: 13, bold: true, color: REPORT_COLORS.text });
+    y += 6;
+  };
+
+  // Summary page
+  newPage();
+  y += 10;
+  doc.text(title, left, y, { size: 20, bold: true, color: REPORT_COLORS.text });
+  y += 10;
+  const labelWidth = 110;
+  details.forEach(([label, value]) => {
+    const lines = wrapText(value, contentWidth - labelWidth, 9);
+    ensureSpace(lines.length * 13 + 2);
+    y += 15;
+    doc.text(label, left, y, { size: 9, color: REPORT_COLORS.muted });
+    lines.forEach((line, i) => doc.text(line, left + labelWidth, y + i * 13, { size: 9, bold: i === 0 && lines.length === 1, color: REPORT_COLORS.text }));
+    y += (lines.length - 1) * 13;
+  });
+
+  if (summary.length > 0) {
+    heading('Summary');
+    const perRow = 3;
+    const gap = 8;
+    const boxWidth = (contentWidth - gap * (perRow - 1)) / perRow;
+    const boxHeight = 42;
+    for (let i = 0; i < summary.length; i += perRow) {
+      ensureSpace(boxHeight + gap);
+      y += gap;
+      summary.slice(i, i + perRow).forEach(([label, value], j) => {
+        const x = left + j * (boxWidth + gap);
+        doc.fillRect(x, y, boxWidth, boxHeight, REPORT_COLORS.boxFill);
+        doc.text(fitText(label, boxWidth - 16, 8), x + 8, y + 14, { size: 8, color: REPORT_COLORS.muted });
+        doc.text(fitText(value, boxWidth - 16, 14, true), x + 8, y + 33, { size: 14, bold: true, color: REPORT_COLORS.text });
+      });
+      y += boxHeight;
+    }
+  }
+  if (notes.length > 0) {
+    y += 8;
+    notes.forEach(note => paragraph(note, { gap: 5 }));
+  }
+
+  // Sections
+  sections.forEach((section, index) => {
+    if (index === 0) newPage();
+    heading(section.title);
+    const widths = section.columns.map(column => column.width * contentWidth);
+    const rowHeight = 14;
+    const drawColumnHeader = () => {
+      doc.fillRect(left, y, contentWidth, rowHeight + 2, REPORT_COLORS.headerFill);
+      let x = left;
+      section.columns.forEach((column, i) => {
+        const textX = column.align === 'right' ? x + widths[i] - 4 : x + 4;
+        doc.text(fitText(column.title, widths[i] - 8, 8, true), textX, y + 11, { size: 8, bold: true, align: column.align, color: REPORT_COLORS.text });
+        x += widths[i];
+      });
+      y += rowHeight + 2;
+    };
+
+    ensureSpace(rowHeight * 3);
+    y += 6;
+    if (section.rows.length === 0) {
+      paragraph(section.empty || 'None', { color: REPORT_COLORS.muted });
+      return;
+    }
+    drawColumnHeader();
+    section.rows.forEach(row => {
+      if (y + rowHeight > bottom) {
+        newPage();
+        doc.text(section.title + ' (continued)', left, y, { size: 9, bold: true, color: REPORT_COLORS.muted });
+        y += 6;
+        drawColumnHeader();
+      }
+      let x = left;
+      row.forEach((cell, i) => {
+        const column = section.columns[i];
+        const textX = column.align === 'right' ? x + widths[i] - 4 : x + 4;
+        doc.text(fitText(cell, widths[i] - 8, 8), textX, y + 10, { size: 8, align: column.align, color: REPORT_COLORS.text });
+        x += widths[i];
+      });
+      y += rowHeight;
+      doc.line(left, y, right, y, { width: 0.25, color: REPORT_COLORS.rule });
+    });
+  });
+
+  // Sign-off block, kept together on one page
+  if (signOff.length > 0 || signature.length > 0) {
+    const signOffHeight = 40 + signOff.length * 58;
+    ensureSpace(signOffHeight);
+    heading('Sign-Off');
+    const columnWidth = (contentWidth - 40) / 3;
+    signOff.forEach(({ role, name }) => {
+      y += 42;
+      [role + (name ? ': ' + name : ''), 'Signature', 'Date'].forEach((label, i) => {
+        const x = left + i * (columnWidth + 20);
+        doc.line(x, y, x + columnWidth, y, { width: 0.75, color: REPORT_COLORS.text });
+        doc.text(fitText(label, columnWidth, 8), x, y + 11, { size: 8, color: REPORT_COLORS.muted });
+      });
+      y += 16;
+    });
+    if (signature.length > 0) {
+      y += 10;
+      signature.forEach(([label, value]) => {
+        const lines = wrapText(value, contentWidth - labelWidth, 8);
+        ensureSpace(lines.length * 11 + 4);
+        y += 13;
+        doc.text(label, left, y, { size: 8, color: REPORT_COLORS.muted });
+        lines.forEach((line, i) => doc.text(line, left + labelWidth, y + i * 11, { size: 8, color: REPORT_COLORS.text }));
+        y += (lines.length - 1) * 11;
+      });
+    }
+  }
+
+  // Header and footer, once the page count is known
+  const pageCount = doc.pages.length;
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const headerY = REPORT_MARGIN;
+    doc.text(fitText(header.title, contentWidth / 2, 9, true), left, headerY, { size: 9, bold: true, color: REPORT_COLORS.text, pageNumber });
+    doc.text(fitText(header.subtitle, contentWidth / 2, 9), right, headerY, { size: 9, align: 'right', color: REPORT_COLORS.muted, pageNumber });
+    doc.line(left, headerY + 6, right, headerY + 6, { width: 0.75, color: REPORT_COLORS.rule, pageNumber });
+
+    const footerY = doc.height - REPORT_MARGIN;
+    doc.line(left, footerY - 12, right, footerY - 12, { width: 0.75, color: REPORT_COLORS.rule, pageNumber });
+    doc.text(fitText(footer, contentWidth - 80, 8), left, footerY, { size: 8, color: REPORT_COLORS.muted, pageNumber });
+    doc.text('Page ' + pageNumber + ' of ' + pageCount, right, footerY, { size: 8, align: 'right', color: REPORT_COLORS.muted, pageNumber });
+  }
+  return doc.output();
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PDF_A4,
+    toWinAnsi,
+    pdfTextWidth,
+    fitText,
+    wrapText,
+    createPdfDocument,
+    buildReportPdf
+  };
+}
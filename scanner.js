@@ -0,0 +1,129 @@
+/**
+ * Secure Bin Cycle Count - Barcode Scanner Input
+ *
+ * Handheld scanners in keyboard-wedge mode "type" the label very quickly
+ * and finish with Enter. This module tells those bursts apart from a
+ * person typing and classifies each scan against the count session.
+ * Runs entirely offline.
+ */
+
+// ==========================================
+// SCAN WEDGE DETECTION
+// ==========================================
+
+const SCAN_DEFAULTS = {
+  maxInterval: 60,              // ms allowed between characters of one scan
+  minLength: 3,                 // shortest code accepted as a scan
+  terminators: ['Enter', 'Tab']
+};
+
+/**
+ * Creates a keyboard-wedge detector.
+ *
+ * Feed it every keydown event; when a fast burst ends in a terminator key
+ * it calls onScan(code) and prevents the terminator's default action.
+ * onBurstStart() fires on the first character of each new burst so the
+ * caller can undo characters the scanner typed into a focused input.
+ */
+function createScanWedge({ onScan, onBurstStart, maxInterval, minLength, terminators, now } = {}) {
+  const options = {
+    maxInterval: maxInterval || SCAN_DEFAULTS.maxInterval,
+    minLength: minLength || SCAN_DEFAULTS.minLength,
+    terminators: terminators || SCAN_DEFAULTS.terminators
+  };
+  const clock = now || (() => Date.now());
+
+  let buffer = '';
+  let lastTime = null;
+
+  const reset = () => {
+    buffer = '';
+    lastTime = null;
+  };
+
+  const handleKeydown = (event) => {
+    const time = typeof event.timeStamp === 'number' ? event.timeStamp : clock();
+    const elapsed = lastTime === null ? 0 : time - lastTime;
+
+    if (options.terminators.includes(event.key)) {
+      const code = buffer;
+      const isScan = code.length >= options.minLength && elapsed <= options.maxInterval;
+      reset();
+      if (!isScan) return false;
+      if (event.preventDefault) event.preventDefault();
+      onScan(code);
+      return true;
+    }
+
+    // Ignore modifiers and other non-printable keys without breaking the burst
+    if (typeof event.key !== 'string' || event.key.length !== 1 || event.ctrlKey || event.altKey || event.metaKey) {
+      return false;
+    }
+
+    if (lastTime === null || elapsed > options.maxInterval) {
+      buffer = '';
+      if (onBurstStart) onBurstStart();
+    }
+    buffer += event.key;
+    lastTime = time;
+    return false;
+  };
+
+  return {
+    handleKeydown,
+    reset,
+    get buffer() {
+      return buffer;
+    }
+  };
+}
+
+// ==========================================
+// SCAN CLASSIFICATION
+// ==========================================
+
+function normalizeCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Classifies a scanned code against the session:
+ *   { type: 'pallet', index, pallet }         pallet in the counting scope
+ *   { type: 'item', itemNumber, matchesCurrent } item barcode
+ *   { type: 'unexpected', code, knownPallet } pallet label not in scope
+ *                                             (knownPallet set when it is
+ *                                             elsewhere in the import)
+ * inventoryIndex is the import's buildInventoryIndex, so a scan does not
+ * search every imported row.
+ */
+function classifyScan(code, { scope, inventoryIndex, currentPallet }) {
+  const scanned = normalizeCode(code);
+
+  const index = scope.findIndex(p => normalizeCode(p.PalletID) === scanned);
+  if (index !== -1) {
+    return { type: 'pallet', index: index, pallet: scope[index] };
+  }
+
+  if (inventoryIndex.itemNumbersUpper.has(scanned)) {
+    return {
+      type: 'item',
+      itemNumber: scanned,
+      matchesCurrent: !!currentPallet && normalizeCode(currentPallet.ItemNumber) === scanned
+    };
+  }
+
+  const knownPallet = inventoryIndex.byPalletUpper.get(scanned) || null;
+  return { type: 'unexpected', code: scanned, knownPallet: knownPallet };
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCAN_DEFAULTS,
+    createScanWedge,
+    classifyScan
+  };
+}
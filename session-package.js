@@ -0,0 +1,145 @@
+/**
+ * Secure Bin Cycle Count - Session Packages
+ *
+ * Moves a count session between devices as a plain file (USB stick,
+ * shared folder), with no server. A package carries the session, its count
+ * actions, its audit entries and the import batch it was counted against.
+ * Packages from several tablets are merged by PalletID so that counts
+ * which disagree can be resolved on one consolidated review screen.
+ * Uses hashAuditEntry from audit-chain.js and createReviewAction from
+ * data-schema.js.
+ */
+
+// ==========================================
+// PACKAGE FORMAT
+// ==========================================
+
+const PACKAGE_FORMAT = 'cycle-count-package/1';
+
+/**
+ * Builds a session package. Only the session's own count actions and
+ * audit entries are included; auditHeadHash is the head of the exporting
+ * device's whole chain, for matching against its full audit export.
+ */
+function buildSessionPackage({ session, actions, auditEntries, auditHeadHash, exportedBy, exportedAt }) {
+  return {
+    format: PACKAGE_FORMAT,
+    packageId: generateUUID(),
+    exportedAt: exportedAt || new Date().toISOString(),
+    exportedBy: exportedBy,
+    importBatch: session.importBatch,
+    auditHeadHash: auditHeadHash,
+    session: session,
+    countActions: actions
+      .filter(action => action.sessionId === session.sessionId)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.version - b.version),
+    auditEntries: auditEntries
+      .filter(entry => entry.sessionId === session.sessionId)
+      .sort((a, b) => (a.seq || 0) - (b.seq || 0))
+  };
+}
+
+/**
+ * Checks the shape of a parsed package file and returns it. Throws an
+ * Error describing the first problem found. Records are validated
+ * against their schemas separately, when they are merged.
+ */
+function readSessionPackage(data) {
+  if (!data || data.format !== PACKAGE_FORMAT) throw new Error('Not a cycle count session package');
+  if (!data.packageId || !data.session || !data.session.sessionId) throw new Error('Package has no session');
+  if (!Array.isArray(data.countActions) || !Array.isArray(data.auditEntries)) {
+    throw new Error('Package is missing its count actions or audit entries');
+  }
+
+  const sessionId = data.session.sessionId;
+  if (data.countActions.some(action => action.sessionId !== sessionId)) {
+    throw new Error('Package has count actions from another session');
+  }
+  if (data.auditEntries.some(entry => entry.sessionId !== sessionId)) {
+    throw new Error('Package has audit entries from another session');
+  }
+  return data;
+}
+
+/**
+ * Resolves with the audit entries whose hash no longer matches their
+ * contents. A package holds only part of the other device's chain, so the
+ * links between entries cannot be checked here; each entry's hash can.
+ */
+async function findAlteredAuditEntries(entries) {
+  const altered = [];
+  for (const entry of entries) {
+    if (typeof entry.seq === 'number' && await hashAuditEntry(entry) !== entry.hash) altered.push(entry);
+  }
+  return altered;
+}
+
+// ==========================================
+// MERGING
+// ==========================================
+
+/**
+ * Merges count actions from several sessions by PalletID. Each pallet
+ * gets the latest count from every session that counted it. Counts that
+ * disagree on quantity are a conflict until one of them is chosen with
+ * createConflictResolution(); a later recount of the losing pallet
+ * reopens the conflict.
+ *
+ * Returns [{ palletId, counts, resolution, conflict, countedQuantity }]
+ * sorted by pallet ID. countedQuantity is null while in conflict.
+ */
+function mergePalletCounts(actions) {
+  const bySession = {};
+  actions.forEach(action => {
+    (bySession[action.sessionId] = bySession[action.sessionId] || []).push(action);
+  });
+
+  const byPallet = {};
+  Object.values(bySession).forEach(sessionActions => {
+    Object.values(getLatestActions(sessionActions)).forEach(action => {
+      (byPallet[action.palletId] = byPallet[action.palletId] || []).push(action);
+    });
+  });
+
+  return Object.keys(byPallet).sort().map(palletId => {
+    const counts = byPallet[palletId].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const resolution = counts.find(action => Array.isArray(action.overrides) &&
+      counts.every(other => other === action || action.overrides.includes(other.actionId))) || null;
+    const quantities = new Set(counts.map(action => action.countedQuantity));
+    const conflict = quantities.size > 1 && !resolution;
+    return {
+      palletId: palletId,
+      counts: counts,
+      resolution: resolution,
+      conflict: conflict,
+      countedQuantity: resolution ? resolution.countedQuantity : conflict ? null : counts[0].countedQuantity
+    };
+  });
+}
+
+/**
+ * Records the supervisor's choice between conflicting counts as an
+ * approved next version of the chosen count, listing the counts it
+ * overrides
+ */
+function createConflictResolution({ action, conflicting, reviewer, comment, timestamp }) {
+  return Object.freeze({
+    ...createReviewAction({ action, decision: 'approved', reviewer, comment, timestamp }),
+    overrides: conflicting.filter(other => other.actionId !== action.actionId).map(other => other.actionId)
+  });
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PACKAGE_FORMAT,
+    buildSessionPackage,
+    readSessionPackage,
+    findAlteredAuditEntries,
+    mergePalletCounts,
+    createConflictResolution
+  };
+}
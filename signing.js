@@ -0,0 +1,275 @@
+/**
+ * Secure Bin Cycle Count - Signed Submissions
+ *
+ * Signs a submitted session (its CountSessions record, CountActions and the
+ * audit chain head) with the submitting user's ECDSA P-256 key, and checks
+ * those signatures in exported JSON and Excel reports. Uses canonicalJson
+ * and sha256Hex from audit-chain.js.
+ */
+
+// ==========================================
+// SUBMISSION PAYLOAD
+// ==========================================
+
+const SIGNATURE_ALGORITHM = 'ECDSA-P256-SHA256';
+const SUBMISSION_FORMAT = 'cycle-count-submission/1';
+
+/**
+ * The content a submission signature covers. Actions are sorted so the
+ * same session always produces the same payload.
+ */
+function buildSubmissionPayload({ session, actions, auditHeadHash, signedBy, signedAt }) {
+  return {
+    format: SUBMISSION_FORMAT,
+    sessionId: session.sessionId,
+    session: session,
+    actions: actions.slice().sort((a, b) =>
+      a.timestamp.localeCompare(b.timestamp) || a.version - b.version || a.actionId.localeCompare(b.actionId)),
+    auditHeadHash: auditHeadHash,
+    signedBy: signedBy,
+    signedAt: signedAt || new Date().toISOString()
+  };
+}
+
+// ==========================================
+// KEYS
+// ==========================================
+
+const ECDSA_KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const ECDSA_SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+function bytesToHex(bytes) {
+  return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  return bytes;
+}
+
+/** SHA-256 fingerprint of a public JWK */
+function publicKeyId(publicKey) {
+  return sha256Hex(canonicalJson({ kty: publicKey.kty, crv: publicKey.crv, x: publicKey.x, y: publicKey.y }));
+}
+
+/**
+ * Generates a SigningKeys record. The private key is non-extractable:
+ * it can be stored in IndexedDB and used to sign, but never exported.
+ */
+async function generateSigningKey(userId) {
+  const pair = await crypto.subtle.generateKey(ECDSA_KEY_PARAMS, false, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+  const publicKey = { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+  return {
+    userId: userId,
+    keyId: await publicKeyId(publicKey),
+    algorithm: SIGNATURE_ALGORITHM,
+    publicKey: publicKey,
+    privateKey: pair.privateKey,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// ==========================================
+// SIGNING & VERIFICATION
+// ==========================================
+
+/**
+ * Signs a submission payload. Returns the SessionSignatures fields other
+ * than signatureId.
+ */
+async function signSubmission(payload, signingKey) {
+  const text = canonicalJson(payload);
+  const signature = await crypto.subtle.sign(ECDSA_SIGN_PARAMS, signingKey.privateKey, new TextEncoder().encode(text));
+  return {
+    sessionId: payload.sessionId,
+    signedBy: payload.signedBy,
+    signedAt: payload.signedAt,
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: signingKey.keyId,
+    publicKey: signingKey.publicKey,
+    payload: payload,
+    payloadDigest: await sha256Hex(text),
+    signature: bytesToHex(signature)
+  };
+}
+
+/**
+ * Checks a signed submission using only the public key it carries.
+ * Returns { valid, reason, sessionId, signedBy, signedAt, keyId, payloadDigest }.
+ * A valid signature proves the content is unchanged since it was signed by
+ * the holder of keyId; compare keyId with the key on record for signedBy.
+ */
+async function verifySignedSubmission(signed) {
+  const summary = {
+    sessionId: signed.payload?.sessionId,
+    signedBy: signed.payload?.signedBy,
+    signedAt: signed.payload?.signedAt,
+    keyId: signed.keyId,
+    payloadDigest: signed.payloadDigest
+  };
+  const fail = reason => ({ valid: false, reason: reason, ...summary });
+
+  if (signed.algorithm !== SIGNATURE_ALGORITHM) return fail('Unsupported signature algorithm: ' + signed.algorithm);
+  if (!signed.payload || !signed.publicKey || !/^[0-9a-f]{128}$/.test(signed.signature || '')) {
+    return fail('Signature, public key or signed content is missing');
+  }
+
+  const text = canonicalJson(signed.payload);
+  if (await sha256Hex(text) !== signed.payloadDigest) return fail('Signed content was changed after signing');
+  if (await publicKeyId(signed.publicKey) !== signed.keyId) return fail('Public key does not match the key ID');
+
+  let verified;
+  try {
+    const key = await crypto.subtle.importKey('jwk', { ...signed.publicKey, ext: true }, ECDSA_KEY_PARAMS, false, ['verify']);
+    verified = await crypto.subtle.verify(ECDSA_SIGN_PARAMS, key, hexToBytes(signed.signature), new TextEncoder().encode(text));
+  } catch (err) {
+    return fail('Public key is malformed: ' + err.message);
+  }
+  return verified ? { valid: true, reason: null, ...summary } : fail('Signature does not match the signed content');
+}
+
+/**
+ * Signed submissions in an exported JSON file: a full data export
+ * (signatures array) or a single SessionSignatures record
+ */
+function findSignedSubmissions(data) {
+  if (Array.isArray(data?.signatures)) return data.signatures;
+  return data && data.signature && data.payload ? [data] : [];
+}
+
+// ==========================================
+// EXCEL REPORTS
+// ==========================================
+
+const SIGNATURE_SHEET_NAME = 'Signature';
+const SIGNATURE_CELL_LIMIT = 30000;     // Excel cells hold at most 32,767 characters
+
+/**
+ * Rows for the Signature sheet. The signed payload is split across as many
+ * "Signed Payload" rows as it needs.
+ */
+function signatureSheetRows(signed) {
+  const payloadText = canonicalJson(signed.payload);
+  const rows = [
+    ['Signed Submission'],
+    ['Session ID', signed.sessionId],
+    ['Signed By', signed.signedBy],
+    ['Signed At', signed.signedAt],
+    ['Algorithm', signed.algorithm],
+    ['Key ID', signed.keyId],
+    ['Public Key', canonicalJson(signed.publicKey)],
+    ['Payload SHA-256', signed.payloadDigest],
+    ['Signature', signed.signature]
+  ];
+  for (let i = 0; i < payloadText.length; i += SIGNATURE_CELL_LIMIT) {
+    rows.push(['Signed Payload', payloadText.slice(i, i + SIGNATURE_CELL_LIMIT)]);
+  }
+  return rows;
+}
+
+/**
+ * Rebuilds a signed submission from Signature sheet rows, or returns null
+ */
+function readSignatureSheet(rows) {
+  const value = label => (rows.find(row => row[0] === label) || [])[1];
+  const payloadText = rows.filter(row => row[0] === 'Signed Payload').map(row => row[1]).join('');
+  if (!value('Signature') || !payloadText) return null;
+  return {
+    sessionId: value('Session ID'),
+    signedBy: value('Signed By'),
+    signedAt: value('Signed At'),
+    algorithm: value('Algorithm'),
+    keyId: value('Key ID'),
+    publicKey: JSON.parse(value('Public Key')),
+    payload: JSON.parse(payloadText),
+    payloadDigest: value('Payload SHA-256'),
+    signature: value('Signature')
+  };
+}
+
+/** Count History columns checked against the signed actions */
+const REPORT_SIGNED_COLUMNS = [
+  ['Pallet ID', 'palletId'],
+  ['Counted Qty', 'countedQuantity'],
+  ['Variance', 'variance'],
+  ['User', 'userId'],
+  ['Status', 'status']
+];
+
+/**
+ * Compares a report's Count History rows (header row first) with the
+ * signed actions. Returns a description of each difference.
+ */
+function findReportChanges(payload, historyRows) {
+  const [header = [], ...rows] = historyRows;
+  const idColumn = header.indexOf('Action ID');
+  const signedActions = {};
+  payload.actions.forEach(action => { signedActions[action.actionId] = action; });
+  const changes = [];
+  const seen = new Set();
+
+  rows.filter(row => row[idColumn]).forEach(row => {
+    const actionId = row[idColumn];
+    const action = signedActions[actionId];
+    if (!action) {
+      changes.push(`Action ${actionId} is not in the signed submission`);
+      return;
+    }
+    seen.add(actionId);
+    REPORT_SIGNED_COLUMNS.forEach(([label, field]) => {
+      const column = header.indexOf(label);
+      if (column !== -1 && String(row[column] ?? '') !== String(action[field] ?? '')) {
+        changes.push(`${action.palletId} (${actionId}): ${label} is ${row[column]}, signed value ${action[field]}`);
+      }
+    });
+  });
+
+  payload.actions.filter(action => !seen.has(action.actionId)).forEach(action => {
+    changes.push(`Action ${action.actionId} (${action.palletId}) is missing from the report`);
+  });
+  return changes;
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SIGNATURE_ALGORITHM,
+    SUBMISSION_FORMAT,
+    buildSubmissionPayload,
+    publicKeyId,
+    generateSigningKey,
+    signSubmission,
+    verifySignedSubmission,
+    findSignedSubmissions,
+    SIGNATURE_SHEET_NAME,
+    signatureSheetRows,
+    readSignatureSheet,
+    findReportChanges
+  };
+}
+
+// ==========================================
+// COMMAND LINE
+// ==========================================
+
+// Offline check of the signatures in a JSON export:
+//   node signing.js full-data-export.json
+if (typeof require === 'function' && typeof module !== 'undefined' && require.main === module && process.argv[2]) {
+  Object.assign(globalThis, require('./audit-chain.js'));
+  const data = JSON.parse(require('fs').readFileSync(process.argv[2], 'utf8'));
+  const signatures = findSignedSubmissions(data);
+  if (signatures.length === 0) console.log('No signed submissions found');
+  Promise.all(signatures.map(verifySignedSubmission)).then(results => {
+    results.forEach(result => {
+      console.log(result.valid
+        ? `Signature valid: session ${result.sessionId}, signed by ${result.signedBy} at ${result.signedAt}, key ${result.keyId}`
+        : `Signature INVALID: session ${result.sessionId}: ${result.reason}`);
+    });
+    process.exitCode = results.length > 0 && results.every(result => result.valid) ? 0 : 1;
+  });
+}
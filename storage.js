@@ -0,0 +1,303 @@
+/**
+ * Secure Bin Cycle Count - Local Storage Layer
+ *
+ * IndexedDB persistence for the InventoryImport, CountSessions,
+ * CountActions and AuditLog tables (plus saved ImportProfiles,
+ * ToleranceRules, BinHierarchies, Users, SignInAttempts, SigningKeys,
+ * SessionSignatures, imported
+ * SessionPackages and the SyncConfig/SyncOutbox of optional server sync)
+ * defined in data-schema.js.
+ * Nothing leaves the device unless server sync (sync.js) is turned on.
+ * Stores marked `encrypted` are sealed with the cipher from vault.js.
+ */
+
+// ==========================================
+// DATABASE DEFINITION
+// ==========================================
+
+const DB_NAME = 'secure-bin-cycle-count';
+const DB_VERSION = 11;
+
+/**
+ * Object store layout, keyed by schema table name. Records of `encrypted`
+ * stores are written through the cipher; only the key path and indexed
+ * fields stay readable on disk.
+ */
+const STORE_DEFINITIONS = {
+  InventoryImport: {
+    keyPath: 'id',
+    indexes: ['importBatch', 'location', 'palletId'],
+    encrypted: true
+  },
+  CountSessions: {
+    keyPath: 'sessionId',
+    indexes: ['status', 'location'],
+    encrypted: true
+  },
+  CountActions: {
+    keyPath: 'actionId',
+    indexes: ['sessionId', 'palletId'],
+    encrypted: true
+  },
+  AuditLog: {
+    keyPath: 'logId',
+    indexes: ['sessionId', 'seq'],
+    encrypted: true
+  },
+  ImportProfiles: {
+    keyPath: 'name',
+    indexes: []
+  },
+  ToleranceRules: {
+    keyPath: 'ruleId',
+    indexes: []
+  },
+  BinHierarchies: {
+    keyPath: 'location',
+    indexes: []
+  },
+  Users: {
+    keyPath: 'userId',
+    indexes: ['role']
+  },
+  SignInAttempts: {
+    keyPath: 'userId',
+    indexes: []
+  },
+  SigningKeys: {
+    keyPath: 'userId',
+    indexes: []
+  },
+  SessionSignatures: {
+    keyPath: 'signatureId',
+    indexes: ['sessionId'],
+    encrypted: true
+  },
+  KeyVault: {
+    keyPath: 'vaultId',
+    indexes: []
+  },
+  SessionPackages: {
+    keyPath: 'packageId',
+    indexes: ['sessionId'],
+    encrypted: true
+  },
+  SyncConfig: {
+    keyPath: 'configId',
+    indexes: []
+  },
+  SyncOutbox: {
+    keyPath: 'outboxId',
+    indexes: [],
+    encrypted: true
+  }
+};
+
+// ==========================================
+// STORE API
+// ==========================================
+
+const CycleCountStore = {
+  db: null,
+  cipher: null,
+
+  /**
+   * Opens (and upgrades if needed) the database
+   */
+  open(indexedDBImpl) {
+    const idb = indexedDBImpl || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!idb) {
+      return Promise.reject(new Error('IndexedDB is not available on this device'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = idb.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const tx = event.target.transaction;
+        Object.entries(STORE_DEFINITIONS).forEach(([name, def]) => {
+          const store = db.objectStoreNames.contains(name)
+            ? tx.objectStore(name)
+            : db.createObjectStore(name, { keyPath: def.keyPath });
+          def.indexes.forEach(index => {
+            if (!store.indexNames.contains(index)) {
+              store.createIndex(index, index, { unique: false });
+            }
+          });
+        });
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+  },
+
+  isOpen() {
+    return this.db !== null;
+  },
+
+  /**
+   * Sets the { seal(storeName, record), open(storeName, stored) } cipher
+   * for encrypted stores, or null to lock them
+   */
+  setCipher(cipher) {
+    this.cipher = cipher;
+  },
+
+  isLocked() {
+    return this.cipher === null;
+  },
+
+  seal(storeName, records) {
+    if (!STORE_DEFINITIONS[storeName].encrypted) return Promise.resolve(records);
+    if (!this.cipher) return Promise.reject(new Error('Local data is locked'));
+    return Promise.all(records.map(record => this.cipher.seal(storeName, record)));
+  },
+
+  /**
+   * Decrypts a stored record. Records written before a passphrase was set
+   * have no `sealed` field and are returned as they are.
+   */
+  unseal(storeName, stored) {
+    if (!stored || !stored.sealed || !STORE_DEFINITIONS[storeName].encrypted) return Promise.resolve(stored);
+    if (!this.cipher) return Promise.reject(new Error('Local data is locked'));
+    return this.cipher.open(storeName, stored);
+  },
+
+  /**
+   * Runs fn(stores) inside a single transaction and resolves when it commits
+   */
+  transaction(storeNames, mode, fn) {
+    if (!this.db) {
+      return Promise.reject(new Error('Database is not open'));
+    }
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(names, mode);
+      const stores = {};
+      names.forEach(name => { stores[name] = tx.objectStore(name); });
+
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      result = fn(stores);
+    });
+  },
+
+  // Records are encrypted before the transaction opens: IndexedDB commits
+  // a transaction as soon as it is left idle across an await.
+
+  put(storeName, record) {
+    return this.seal(storeName, [record]).then(([stored]) =>
+      this.transaction(storeName, 'readwrite', stores => {
+        stores[storeName].put(stored);
+        return record;
+      }));
+  },
+
+  putMany(storeName, records) {
+    return this.seal(storeName, records).then(sealed =>
+      this.transaction(storeName, 'readwrite', stores => {
+        sealed.forEach(record => stores[storeName].put(record));
+        return records.length;
+      }));
+  },
+
+  /**
+   * Replaces the entire contents of a store in one transaction
+   */
+  replaceAll(storeName, records) {
+    return this.seal(storeName, records).then(sealed =>
+      this.transaction(storeName, 'readwrite', stores => {
+        stores[storeName].clear();
+        sealed.forEach(record => stores[storeName].put(record));
+        return records.length;
+      }));
+  },
+
+  get(storeName, key) {
+    return this.read(storeName, store => store.get(key))
+      .then(stored => this.unseal(storeName, stored));
+  },
+
+  getAll(storeName) {
+    return this.read(storeName, store => store.getAll())
+      .then(rows => Promise.all(rows.map(stored => this.unseal(storeName, stored))));
+  },
+
+  getAllByIndex(storeName, indexName, value) {
+    return this.read(storeName, store => store.index(indexName).getAll(value))
+      .then(rows => Promise.all(rows.map(stored => this.unseal(storeName, stored))));
+  },
+
+  /**
+   * Encrypts records of an encrypted store that are still in the clear
+   * (written before the passphrase was set, or by an interrupted
+   * migration). Resolves with the number of records sealed.
+   */
+  async sealPlaintext(storeName) {
+    const rows = await this.read(storeName, store => store.getAll());
+    const plain = rows.filter(stored => !stored.sealed);
+    if (plain.length === 0) return 0;
+    await this.putMany(storeName, plain);
+    return plain.length;
+  },
+
+  delete(storeName, key) {
+    return this.transaction(storeName, 'readwrite', stores => {
+      stores[storeName].delete(key);
+    });
+  },
+
+  clear(storeName) {
+    return this.transaction(storeName, 'readwrite', stores => {
+      stores[storeName].clear();
+    });
+  },
+
+  /**
+   * Clears every store except those listed in keep
+   */
+  clearAll(keep = []) {
+    const names = Object.keys(STORE_DEFINITIONS).filter(name => !keep.includes(name));
+    return this.transaction(names, 'readwrite', stores => {
+      names.forEach(name => stores[name].clear());
+    });
+  },
+
+  /**
+   * Resolves with the result of a single read request
+   */
+  read(storeName, requestFn) {
+    if (!this.db) {
+      return Promise.reject(new Error('Database is not open'));
+    }
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readonly');
+      const request = requestFn(tx.objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+};
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DB_NAME,
+    DB_VERSION,
+    STORE_DEFINITIONS,
+    CycleCountStore
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Secure Bin Cycle Count - Service Worker
+ *
+ * Precaches the app shell and the vendored libraries so the app installs
+ * to the home screen and works with no network at all. Bump CACHE_VERSION
+ * whenever any precached file changes: the new worker installs alongside
+ * the old one and waits until the user accepts the update prompt.
+ */
+
+const CACHE_VERSION = 'v18';
+const CACHE_PREFIX = 'cycle-count-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'verify.html',
+  'manifest.webmanifest',
+  'data-schema.js',
+  'bin-hierarchy.js',
+  'storage.js',
+  'vault.js',
+  'audit-chain.js',
+  'signing.js',
+  'session-package.js',
+  'sync.js',
+  'netsuite-export.js',
+  'pdf-report.js',
+  'excel-report.js',
+  'virtual-list.js',
+  'auth.js',
+  'import-parsers.js',
+  'import-worker.js',
+  'scanner.js',
+  'barcode-decoder.js',
+  'vendor/xlsx.full.min.js',
+  'vendor/jsQR.js',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png'
+];
+
+// ==========================================
+// LIFECYCLE
+// ==========================================
+
+self.addEventListener('install', event => {
+  // Bypass the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache =>
+      cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ==========================================
+// REQUESTS
+// ==========================================
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Page loads always get the cached app shell, so the app opens offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(request, { ignoreSearch: true })
+        .then(cached => cached || caches.match('index.html'))
+        .then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request))
+  );
+});
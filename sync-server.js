@@ -0,0 +1,296 @@
+/**
+ * Secure Bin Cycle Count - Reference Sync Server
+ *
+ * A small stand-in for a real backend, so the sync flow in sync.js can be
+ * tried with several browser tabs or devices on one machine. Records are
+ * kept in JSON files in a data directory. There is no authentication or
+ * TLS: run it on a trusted network only.
+ *
+ *   node sync-server.js [--port 8787] [--data ./sync-data]
+ *
+ * Endpoints (JSON in and out, CORS enabled):
+ *   GET    /api/health
+ *   PUT    /api/sessions/:sessionId   { deviceId, record }  latest version wins
+ *   PUT    /api/actions/:actionId     { deviceId, record }  write-once
+ *   PUT    /api/audit/:logId          { deviceId, record }  write-once
+ *   GET    /api/progress?location=&bins=A-1,A-2&since=0&exclude=deviceId
+ *   GET    /api/locks?location=
+ *   POST   /api/locks                 { deviceId, sessionId, userId, location, bins, ttlMs }
+ *   DELETE /api/locks/:sessionId?deviceId=
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// FILE STORE
+// ==========================================
+
+/**
+ * Collection name per URL path, the record field that keys it and, for
+ * sessions, the fields /api/progress relies on
+ */
+const COLLECTIONS = {
+  sessions: {
+    key: 'sessionId',
+    writeOnce: false,
+    validate: record => typeof record.location === 'string' && Array.isArray(record.bins) && record.bins.every(bin => typeof bin === 'string'),
+    invalid: 'Session records need a location and a bins array'
+  },
+  actions: { key: 'actionId', writeOnce: true },
+  audit: { key: 'logId', writeOnce: true }
+};
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Loads the collections and locks from dataDir. Each collection maps a
+ * record key to { seq, deviceId, updatedBy, receivedAt, record }; seq
+ * increases with every write and is the cursor for /api/progress.
+ */
+function openFileStore(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const file = name => path.join(dataDir, name + '.json');
+  const read = (name, fallback) => (fs.existsSync(file(name)) ? JSON.parse(fs.readFileSync(file(name), 'utf8')) : fallback);
+
+  const state = { seq: read('meta', { seq: 0 }).seq, locks: read('locks', {}) };
+  Object.keys(COLLECTIONS).forEach(name => { state[name] = read(name, {}); });
+
+  // Write to a temporary file and rename, so a crash never leaves half a file
+  const write = (name, value) => {
+    fs.writeFileSync(file(name) + '.tmp', JSON.stringify(value, null, 2));
+    fs.renameSync(file(name) + '.tmp', file(name));
+  };
+
+  return {
+    state: state,
+    save(name) {
+      write(name, state[name]);
+      write('meta', { seq: state.seq });
+    }
+  };
+}
+
+// ==========================================
+// RECORDS
+// ==========================================
+
+/**
+ * Stores a pushed record. Write-once collections accept the same record
+ * again (a retried push) but refuse different content under an existing key.
+ * Returns { status, body }.
+ */
+function storeRecord(store, collection, key, deviceId, record) {
+  const def = COLLECTIONS[collection];
+  if (!record || typeof record !== 'object' || record[def.key] !== key) {
+    return { status: 400, body: { error: `Record ${def.key} must match the URL` } };
+  }
+  if (!deviceId) return { status: 400, body: { error: 'deviceId is required' } };
+  if (def.validate && !def.validate(record)) return { status: 400, body: { error: def.invalid } };
+
+  const records = store.state[collection];
+  const existing = records[key];
+  if (existing && def.writeOnce) {
+    return JSON.stringify(existing.record) === JSON.stringify(record)
+      ? { status: 200, body: { key: key, seq: existing.seq, duplicate: true } }
+      : { status: 409, body: { error: `${collection} ${key} already exists with different content` } };
+  }
+
+  // A session stays with the device that started it, even when a supervisor's device updates it
+  store.state.seq += 1;
+  records[key] = { seq: store.state.seq, deviceId: existing ? existing.deviceId : deviceId, updatedBy: deviceId, receivedAt: new Date().toISOString(), record: record };
+  store.save(collection);
+  return { status: existing ? 200 : 201, body: { key: key, seq: store.state.seq, duplicate: false } };
+}
+
+/**
+ * Sessions, actions and audit entries from other devices for the given
+ * bins, written after the since cursor. Sessions without a bins array
+ * (stored before sessions were validated) are skipped.
+ */
+function findProgress(store, { location, bins, since, exclude }) {
+  const sessions = Object.values(store.state.sessions)
+    .filter(item => item.deviceId !== exclude && item.record.location === location &&
+      Array.isArray(item.record.bins) && item.record.bins.some(bin => bins.includes(bin)));
+  const inScope = new Set(sessions.map(item => item.record.sessionId));
+  const changed = collection => Object.values(store.state[collection])
+    .filter(item => item.seq > since && inScope.has(item.record.sessionId));
+
+  return {
+    sessions: changed('sessions').map(item => item.record),
+    actions: changed('actions').filter(item => bins.includes(item.record.bin)).map(item => item.record),
+    audit: changed('audit').map(item => item.record),
+    devices: Object.fromEntries(sessions.map(item => [item.record.sessionId, item.deviceId])),
+    cursor: store.state.seq
+  };
+}
+
+// ==========================================
+// BIN LOCKS
+// ==========================================
+
+const lockKey = (location, bin) => location + '\u0000' + bin;
+
+function activeLocks(store, now = Date.now()) {
+  return Object.values(store.state.locks).filter(lock => lock.expiresAt > now);
+}
+
+/**
+ * Locks every requested bin for a session, or none of them when another
+ * session holds one. Locking again with the same session renews the locks.
+ */
+function lockBins(store, { deviceId, sessionId, userId, location, bins, ttlMs }, now = Date.now()) {
+  if (!deviceId || !sessionId || !location || !Array.isArray(bins) || bins.length === 0) {
+    return { status: 400, body: { error: 'deviceId, sessionId, location and bins are required' } };
+  }
+  const conflicts = bins
+    .map(bin => store.state.locks[lockKey(location, bin)])
+    .filter(lock => lock && lock.expiresAt > now && lock.sessionId !== sessionId);
+  if (conflicts.length > 0) return { status: 409, body: { error: 'Bins are locked by another session', conflicts: conflicts } };
+
+  const expiresAt = now + Math.min(Number(ttlMs) || 30 * 60 * 1000, 24 * 60 * 60 * 1000);
+  const locks = bins.map(bin => {
+    const lock = { location, bin, sessionId, deviceId, userId: userId || null, lockedAt: new Date(now).toISOString(), expiresAt };
+    store.state.locks[lockKey(location, bin)] = lock;
+    return lock;
+  });
+  store.save('locks');
+  return { status: 200, body: { locks: locks } };
+}
+
+/**
+ * Releases the session's bin locks held by deviceId. Locks another device
+ * holds are left alone.
+ */
+function releaseLocks(store, sessionId, deviceId) {
+  if (!deviceId) return { status: 400, body: { error: 'deviceId is required' } };
+  let released = 0;
+  Object.entries(store.state.locks).forEach(([key, lock]) => {
+    if (lock.sessionId === sessionId && lock.deviceId === deviceId) {
+      delete store.state.locks[key];
+      released++;
+    }
+  });
+  store.save('locks');
+  return { status: 200, body: { released: released } };
+}
+
+// ==========================================
+// HTTP
+// ==========================================
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function route(store, req, url) {
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts[0] !== 'api') return { status: 404, body: { error: 'Not found' } };
+  const [, resource, id] = parts;
+
+  if (req.method === 'GET' && resource === 'health') {
+    return { status: 200, body: { ok: true, seq: store.state.seq } };
+  }
+  if (req.method === 'PUT' && COLLECTIONS[resource] && id) {
+    const body = await readBody(req);
+    return storeRecord(store, resource, id, body.deviceId, body.record);
+  }
+  if (req.method === 'GET' && resource === 'progress') {
+    const location = url.searchParams.get('location');
+    if (!location) return { status: 400, body: { error: 'location is required' } };
+    return {
+      status: 200,
+      body: findProgress(store, {
+        location: location,
+        bins: (url.searchParams.get('bins') || '').split(',').filter(Boolean),
+        since: Number(url.searchParams.get('since')) || 0,
+        exclude: url.searchParams.get('exclude')
+      })
+    };
+  }
+  if (resource === 'locks') {
+    if (req.method === 'GET') {
+      const location = url.searchParams.get('location');
+      return { status: 200, body: { locks: activeLocks(store).filter(lock => !location || lock.location === location) } };
+    }
+    if (req.method === 'POST' && !id) return lockBins(store, await readBody(req));
+    if (req.method === 'DELETE' && id) return releaseLocks(store, id, url.searchParams.get('deviceId'));
+  }
+  return { status: 404, body: { error: 'Not found' } };
+}
+
+function createSyncServer({ dataDir, log = console.log } = {}) {
+  const store = openFileStore(dataDir);
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    let result;
+    try {
+      result = await route(store, req, new URL(req.url, 'http://localhost'));
+    } catch (err) {
+      result = { status: err.status || 500, body: { error: err.message } };
+    }
+    log(`${req.method} ${req.url} -> ${result.status}`);
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result.body));
+  });
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+module.exports = {
+  COLLECTIONS,
+  openFileStore,
+  storeRecord,
+  findProgress,
+  lockBins,
+  releaseLocks,
+  createSyncServer
+};
+
+// ==========================================
+// COMMAND LINE
+// ==========================================
+
+if (require.main === module) {
+  const arg = (name, fallback) => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+  };
+  const port = Number(arg('--port', process.env.PORT || 8787));
+  const dataDir = path.resolve(arg('--data', './sync-data'));
+  createSyncServer({ dataDir }).listen(port, () => {
+    console.log(`Cycle count sync server on http://localhost:${port}/api/ (data in ${dataDir})`);
+  });
+}
@@ -0,0 +1,195 @@
+/**
+ * Secure Bin Cycle Count - Optional Server Sync
+ *
+ * Pushes CountSessions, CountActions and AuditLog records to an HTTP sync
+ * endpoint and pulls other devices' progress on the bins being counted.
+ * Records wait in an outbox and are retried with exponential backoff;
+ * record keys are their existing IDs, so a retried push is idempotent.
+ * Bins are locked on the server for the session counting them.
+ * Sync is off unless an endpoint is configured; the app works the same
+ * without it. sync-server.js is a reference server for trying it out.
+ */
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const SYNC_CONFIG_ID = 'device';
+
+const SYNC_DEFAULTS = {
+  intervalMs: 15 * 1000,          // push/pull cycle while sync is enabled
+  baseDelayMs: 2 * 1000,          // first retry delay
+  maxDelayMs: 5 * 60 * 1000,      // retry delay cap
+  lockTtlMs: 30 * 60 * 1000,      // bin locks lapse if a device stops renewing them
+  requestTimeoutMs: 10 * 1000
+};
+
+/** Stores that sync, and their path on the server */
+const SYNC_PATHS = {
+  CountSessions: 'sessions',
+  CountActions: 'actions',
+  AuditLog: 'audit'
+};
+
+// ==========================================
+// OUTBOX
+// ==========================================
+
+/**
+ * SyncOutbox record for a saved record. The outbox ID is the store and
+ * record key, so saving the same record again replaces its queued copy.
+ */
+function createOutboxEntry(storeName, record, now = Date.now()) {
+  const recordKey = record[STORE_DEFINITIONS[storeName].keyPath];
+  return {
+    outboxId: storeName + ':' + recordKey,
+    storeName: storeName,
+    recordKey: recordKey,
+    record: record,
+    queuedAt: now,
+    attempts: 0,
+    nextAttemptAt: now
+  };
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures: doubles each
+ * time up to maxDelayMs, with jitter so devices do not retry in step
+ */
+function retryDelay(attempts, options = {}, random = Math.random) {
+  const base = options.baseDelayMs || SYNC_DEFAULTS.baseDelayMs;
+  const max = options.maxDelayMs || SYNC_DEFAULTS.maxDelayMs;
+  const delay = Math.min(max, base * Math.pow(2, Math.max(0, attempts - 1)));
+  return Math.round(delay * (0.5 + random() / 2));
+}
+
+/**
+ * Entries ready to push, oldest first. Sessions go before their actions
+ * and audit entries queued at the same moment.
+ */
+function dueOutboxEntries(entries, now = Date.now()) {
+  const order = Object.keys(SYNC_PATHS);
+  return entries
+    .filter(entry => entry.nextAttemptAt <= now)
+    .sort((a, b) => a.queuedAt - b.queuedAt || order.indexOf(a.storeName) - order.indexOf(b.storeName));
+}
+
+function markOutboxFailure(entry, error, now = Date.now(), options = {}) {
+  const attempts = entry.attempts + 1;
+  return { ...entry, attempts: attempts, nextAttemptAt: now + retryDelay(attempts, options), lastError: error };
+}
+
+/**
+ * Whether a failed push is worth retrying: network errors, timeouts,
+ * rate limiting and server errors are; a rejected record is not
+ */
+function isRetryableStatus(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// ==========================================
+// HTTP CLIENT
+// ==========================================
+
+/**
+ * Client for the sync REST API (see sync-server.js for the endpoints).
+ * Every method resolves with { ok, status, body, error }; network
+ * failures resolve with status 0 instead of rejecting.
+ */
+function createSyncClient({ endpoint, deviceId, fetchImpl, timeoutMs } = {}) {
+  const base = endpoint.trim().replace(/\/+$/, '') + '/api/';
+  const doFetch = fetchImpl || ((url, init) => fetch(url, init));
+  const limit = timeoutMs || SYNC_DEFAULTS.requestTimeoutMs;
+
+  async function request(method, path, body) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), limit) : null;
+    try {
+      const response = await doFetch(base + path, {
+        method: method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller ? controller.signal : undefined
+      });
+      const text = await response.text();
+      let parsed = null;
+      try {
+        parsed = text ? JSON.parse(text) : null;
+      } catch (err) {
+        // Not JSON (e.g. a proxy error page); the status code still says what happened
+      }
+      return { ok: response.ok, status: response.status, body: parsed, error: response.ok ? null : (parsed && parsed.error) || 'HTTP ' + response.status };
+    } catch (err) {
+      return { ok: false, status: 0, body: null, error: err.name === 'AbortError' ? 'Request timed out' : err.message };
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  const query = params => Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => encodeURIComponent(key) + '=' + encodeURIComponent(value))
+    .join('&');
+
+  return {
+    deviceId: deviceId,
+
+    health() {
+      return request('GET', 'health');
+    },
+
+    /** PUTs one outbox entry's record under its own key */
+    push(entry) {
+      return request('PUT', SYNC_PATHS[entry.storeName] + '/' + encodeURIComponent(entry.recordKey), {
+        deviceId: deviceId,
+        record: entry.record
+      });
+    },
+
+    /**
+     * Other devices' sessions, actions and audit entries for bins in a
+     * location, changed after the `since` cursor. body: { sessions,
+     * actions, audit, cursor }
+     */
+    pullProgress({ location, bins, since }) {
+      return request('GET', 'progress?' + query({ location: location, bins: bins.join(','), since: since || 0, exclude: deviceId }));
+    },
+
+    /**
+     * Locks bins for a session, or renews its locks. A 409 response lists
+     * the bins held by other sessions in body.conflicts.
+     */
+    lockBins({ sessionId, userId, location, bins, ttlMs }) {
+      return request('POST', 'locks', {
+        deviceId: deviceId,
+        sessionId: sessionId,
+        userId: userId,
+        location: location,
+        bins: bins,
+        ttlMs: ttlMs || SYNC_DEFAULTS.lockTtlMs
+      });
+    },
+
+    releaseBins(sessionId) {
+      return request('DELETE', 'locks/' + encodeURIComponent(sessionId) + '?' + query({ deviceId: deviceId }));
+    }
+  };
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SYNC_CONFIG_ID,
+    SYNC_DEFAULTS,
+    SYNC_PATHS,
+    createOutboxEntry,
+    retryDelay,
+    dueOutboxEntries,
+    markOutboxFailure,
+    isRetryableStatus,
+    createSyncClient
+  };
+}
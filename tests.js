@@ -3,10 +3,27 @@
  * 
  * Tests cover:
  * - Excel parsing and validation
- * - Bin filtering (single, multi, prefix)
- * - Variance calculation
- * - Audit logging
+ * - Bin filtering (single, multi, prefix, range) and the inventory index
+ * - Bin hierarchy tree, filters and tri-state selection
+ * - 50k-row import benchmark and virtualized lists
+ * - Variance calculation and tolerance rules
+ * - Audit logging and hash chain verification
+ * - Signed submissions and report verification
+ * - Encryption at rest and auto-lock
  * - Data deduplication
+ * - Schema validation
+ * - CSV/TSV and JSON import parsing
+ * - Barcode scan-wedge detection
+ * - Camera barcode decoding (Code128, EAN-13, QR)
+ * - Supervisor review decisions
+ * - Uncounted and skipped pallets
+ * - Session packages and multi-device merge
+ * - Server sync outbox and retry backoff
+ * - Reference sync server records, progress and bin locks
+ * - NetSuite inventory adjustment export
+ * - Text PDF report layout
+ * - Excel report formatting
+ * - User roles and PIN sign-in lockout
  */
 
 // ==========================================
@@ -143,6 +160,271 @@ TestRunner.describe('Excel Parsing & Validation', () => {
     const result = validateInventoryRow(row);
     TestRunner.assert(result.isValid === false, 'Should reject DD/MM/YYYY format');
   });
+  
+  TestRunner.it('should accept a zero system quantity', () => {
+    const row = { Location: 'Area-A', Bin: 'A-1', PalletID: 'PAL-001', ItemNumber: 'SKU-1001', SystemQuantity: 0 };
+    TestRunner.assert(validateInventoryRow(row).isValid, 'Zero is a valid quantity');
+  });
+  
+  TestRunner.it('should reject negative or fractional quantities', () => {
+    const base = { Location: 'Area-A', Bin: 'A-1', PalletID: 'PAL-001', ItemNumber: 'SKU-1001' };
+    TestRunner.assert(!validateInventoryRow({ ...base, SystemQuantity: -5 }).isValid, 'Should reject negative');
+    TestRunner.assert(!validateInventoryRow({ ...base, SystemQuantity: 2.5 }).isValid, 'Should reject fractional');
+    TestRunner.assert(!validateInventoryRow({ ...base, SystemQuantity: '12abc' }).isValid, 'Should reject trailing text');
+  });
+  
+  TestRunner.it('should reject invalid status values and bin codes', () => {
+    const base = { Location: 'Area-A', Bin: 'A-1', PalletID: 'PAL-001', ItemNumber: 'SKU-1001', SystemQuantity: 10 };
+    const badStatus = validateInventoryRow({ ...base, Status: 'Archived' });
+    TestRunner.assert(badStatus.errors[0].includes('Status'), 'Should reject unknown status');
+    TestRunner.assert(!validateInventoryRow({ ...base, Bin: 'A 1' }).isValid, 'Should reject bin with spaces');
+  });
+  
+  TestRunner.it('should build an import report of accepted, rejected and duplicate rows', () => {
+    const rows = [
+      { Location: 'Area-A', Bin: 'A-1', PalletID: 'PAL-001', ItemNumber: 'SKU-1001', SystemQuantity: 50 },
+      { Location: 'Area-A', Bin: 'A-1', PalletID: 'PAL-002', ItemNumber: 'SKU-1002', SystemQuantity: 'lots' },
+      { Location: 'Area-A', Bin: 'A-1', PalletID: 'PAL-001', ItemNumber: 'SKU-1001', SystemQuantity: 50 },
+      { Location: 'Area-A', Bin: 'A-2', PalletID: 'PAL-003', ItemNumber: 'SKU-1003', SystemQuantity: 20, ExpiryDate: '2026/12/31' }
+    ];
+    
+    const report = buildImportReport(rows);
+    TestRunner.assertEqual(report.totalRows, 4, 'Should count all rows');
+    TestRunner.assertEqual(report.accepted.length, 1, 'Should accept 1 row');
+    TestRunner.assertEqual(report.rejected.length, 2, 'Should reject 2 rows');
+    TestRunner.assertEqual(report.duplicates.length, 1, 'Should find 1 duplicate');
+    TestRunner.assertArrayEqual(report.rejected.map(r => r.rowNumber), [3, 5], 'Should keep spreadsheet row numbers');
+    TestRunner.assert(report.rejected[1].reasons[0].includes('ExpiryDate'), 'Should give a reason per row');
+    TestRunner.assertEqual(report.duplicates[0].reason, 'Duplicate PalletID+Bin', 'Should explain duplicates');
+  });
+});
+
+// ==========================================
+// TESTS: SCHEMA VALIDATION
+// ==========================================
+
+TestRunner.describe('Schema Validation', () => {
+  
+  const validInventory = {
+    id: 'b6a3f0e2-0000-4000-8000-000000000001',
+    location: 'Area-A',
+    bin: 'A-1',
+    palletId: 'PAL-001',
+    itemNumber: 'SKU-1001',
+    systemQuantity: 50,
+    importedAt: '2026-02-01T10:00:00Z',
+    importBatch: 'IMP-1'
+  };
+  
+  TestRunner.it('should accept a valid record and fill defaults', () => {
+    const result = validateRecord(InventoryImportSchema, validInventory);
+    TestRunner.assert(result.isValid, 'Should be valid');
+    TestRunner.assertEqual(result.record.uom, 'Unit', 'Should default UOM to Unit');
+    TestRunner.assertEqual(result.record.status, 'Active', 'Should default status to Active');
+  });
+  
+  TestRunner.it('should report missing required fields per field', () => {
+    const result = validateRecord(InventoryImportSchema, { ...validInventory, palletId: '' });
+    TestRunner.assert(!result.isValid, 'Should be invalid');
+    TestRunner.assert(result.errors.palletId[0].includes('required'), 'Should flag palletId as required');
+  });
+  
+  TestRunner.it('should enforce type, enum, min, regex and function rules', () => {
+    const result = validateRecord(InventoryImportSchema, {
+      ...validInventory,
+      bin: 'A 1',
+      systemQuantity: 2.5,
+      expiryDate: '31/12/2026',
+      status: 'Archived'
+    });
+    TestRunner.assert(result.errors.bin, 'Should reject bin failing regex');
+    TestRunner.assert(result.errors.systemQuantity, 'Should reject non-integer quantity');
+    TestRunner.assert(result.errors.expiryDate, 'Should reject bad expiry date');
+    TestRunner.assert(result.errors.status[0].includes('one of'), 'Should reject status outside enum');
+    
+    const negative = validateRecord(InventoryImportSchema, { ...validInventory, systemQuantity: -1 });
+    TestRunner.assert(negative.errors.systemQuantity[0].includes('at least 0'), 'Should enforce min');
+    
+    const nan = validateRecord(InventoryImportSchema, { ...validInventory, systemQuantity: NaN });
+    TestRunner.assert(nan.errors.systemQuantity[0].includes('type number'), 'Should reject NaN as a number');
+  });
+  
+  TestRunner.it('should fill and check computed values', () => {
+    const action = {
+      actionId: 'ACT-1', sessionId: 'SES-1', palletId: 'PAL-001', bin: 'A-1', itemNumber: 'SKU-1001',
+      systemQuantity: 50, countedQuantity: 45, timestamp: '2026-02-01T10:00:00Z', userId: 'OPERATOR-001'
+    };
+    const filled = validateRecord(CountActionsSchema, action);
+    TestRunner.assert(filled.isValid, 'Should be valid');
+    TestRunner.assertEqual(filled.record.variance, -5, 'Should compute variance');
+    TestRunner.assertEqual(filled.record.flagged, false, 'Should default flagged');
+    TestRunner.assertEqual(filled.record.version, 1, 'Should default version');
+    
+    const wrong = validateRecord(CountActionsSchema, { ...action, variance: 3 });
+    TestRunner.assert(wrong.errors.variance, 'Should reject variance not matching computed value');
+  });
+  
+  TestRunner.it('should validate array items and minItems', () => {
+    const session = {
+      sessionId: 'SES-1', timestamp: '2026-02-01T10:00:00Z', location: 'Area-A', bins: [],
+      userId: 'OPERATOR-001', startTime: 1000, totalPallets: 4
+    };
+    const result = validateRecord(CountSessionsSchema, session);
+    TestRunner.assert(result.errors.bins[0].includes('at least 1'), 'Should require at least one bin');
+    TestRunner.assertEqual(result.record.status, 'in-progress', 'Should default status');
+  });
+  
+  TestRunner.it('should refuse to change readOnly fields on update', () => {
+    const original = {
+      sessionId: 'SES-1', timestamp: '2026-02-01T10:00:00Z', location: 'Area-A', bins: ['A-1'],
+      userId: 'OPERATOR-001', startTime: 1000, totalPallets: 4, status: 'in-progress', completedCount: 0, varianceCount: 0
+    };
+    const allowed = validateRecord(CountSessionsSchema, { ...original, status: 'submitted', completedCount: 4 }, original);
+    TestRunner.assert(allowed.isValid, 'Should allow changing writable fields');
+    
+    const blocked = validateRecord(CountSessionsSchema, { ...original, totalPallets: 10 }, original);
+    TestRunner.assert(blocked.errors.totalPallets[0].includes('read-only'), 'Should block changing readOnly field');
+  });
+  
+  TestRunner.it('should default sessions to standard count mode and lock the mode', () => {
+    const session = {
+      sessionId: 'SES-1', timestamp: '2026-02-01T10:00:00Z', location: 'Area-A', bins: ['A-1'],
+      userId: 'OPERATOR-001', startTime: 1000, totalPallets: 4
+    };
+    TestRunner.assertEqual(validateRecord(CountSessionsSchema, session).record.countMode, 'standard', 'Should default to standard');
+    TestRunner.assert(validateRecord(CountSessionsSchema, { ...session, countMode: 'peek' }).errors.countMode, 'Should reject unknown modes');
+    
+    const blind = validateRecord(CountSessionsSchema, { ...session, countMode: 'blind' }).record;
+    const switched = validateRecord(CountSessionsSchema, { ...blind, countMode: 'standard' }, blind);
+    TestRunner.assert(switched.errors.countMode[0].includes('read-only'), 'Should not switch mode mid-session');
+  });
+  
+  TestRunner.it('should flatten per-field errors into messages', () => {
+    const messages = formatValidationErrors({ bin: ['a', 'b'], palletId: ['c'] });
+    TestRunner.assertArrayEqual(messages, ['a', 'b', 'c']);
+  });
+});
+
+// ==========================================
+// TESTS: CSV & JSON IMPORT
+// ==========================================
+
+TestRunner.describe('CSV & JSON Import', () => {
+  
+  TestRunner.it('should detect import format from file name', () => {
+    TestRunner.assertEqual(detectImportFormat('stock.XLSX'), 'xlsx');
+    TestRunner.assertEqual(detectImportFormat('stock.csv'), 'csv');
+    TestRunner.assertEqual(detectImportFormat('stock.tsv'), 'tsv');
+    TestRunner.assertEqual(detectImportFormat('dump.json'), 'json');
+    TestRunner.assertEqual(detectImportFormat('stock.pdf'), null);
+  });
+  
+  TestRunner.it('should detect comma, semicolon, tab and pipe delimiters', () => {
+    TestRunner.assertEqual(detectDelimiter('Bin,LP,Qty\nA-1,PAL-1,5'), ',');
+    TestRunner.assertEqual(detectDelimiter('Bin;LP;Qty\nA-1;PAL-1;5,5'), ';');
+    TestRunner.assertEqual(detectDelimiter('Bin\tLP\tQty\nA-1\tPAL-1\t5'), '\t');
+    TestRunner.assertEqual(detectDelimiter('Bin|LP|Qty\nA-1|PAL-1|5'), '|');
+  });
+  
+  TestRunner.it('should handle quoted fields with delimiters, quotes and line breaks', () => {
+    const text = 'Bin,Description,Qty\r\nA-1,"Widget, large",5\r\nA-2,"12"" pipe\nbundle",7\r\n\r\n';
+    const records = parseDelimitedText(text, ',');
+    TestRunner.assertEqual(records.length, 3, 'Should skip the trailing blank line');
+    TestRunner.assertEqual(records[1][1], 'Widget, large');
+    TestRunner.assertEqual(records[2][1], '12" pipe\nbundle');
+  });
+  
+  TestRunner.it('should reject an unterminated quoted field', () => {
+    let error = null;
+    try {
+      parseDelimitedText('Bin,Description\nA-1,"Widget', ',');
+    } catch (err) {
+      error = err;
+    }
+    TestRunner.assert(error && error.message.includes('line 2'), 'Should report the line of the open quote');
+  });
+  
+  TestRunner.it('should build rows keyed by trimmed, unique headers', () => {
+    const table = parseDelimitedTable(' Bin ;LP;LP;\nA-1; PAL-1 ;X', ';');
+    TestRunner.assertArrayEqual(table.headers, ['Bin', 'LP', 'LP (2)', 'Column 4']);
+    TestRunner.assertEqual(table.rows[0].LP, 'PAL-1', 'Should trim values');
+    TestRunner.assertEqual(table.rows[0]['Column 4'], '', 'Missing trailing values should be empty');
+  });
+  
+  TestRunner.it('should decode UTF-8 BOM, UTF-16 and Windows-1252 text', () => {
+    const utf8 = decodeText(new Uint8Array([0xEF, 0xBB, 0xBF, 0x42, 0x69, 0x6E]));
+    TestRunner.assertEqual(utf8.text, 'Bin');
+    TestRunner.assertEqual(utf8.encoding, 'utf-8');
+    
+    const utf16 = decodeText(new Uint8Array([0xFF, 0xFE, 0x42, 0x00, 0x69, 0x00, 0x6E, 0x00]));
+    TestRunner.assertEqual(utf16.text, 'Bin');
+    
+    const latin = decodeText(new Uint8Array([0x43, 0x61, 0x66, 0xE9]));
+    TestRunner.assertEqual(latin.text, 'Café');
+    TestRunner.assertEqual(latin.encoding, 'windows-1252');
+  });
+  
+  TestRunner.it('should read JSON arrays and wrapped API dumps', () => {
+    const plain = parseJsonTable('[{"Bin":"A-1","LP":"PAL-1","Qty":5},{"Bin":"A-2","Lot":"L1"}]');
+    TestRunner.assertArrayEqual(plain.headers, ['Bin', 'LP', 'Qty', 'Lot']);
+    TestRunner.assertEqual(plain.rows[0].Qty, 5);
+    
+    const wrapped = parseJsonTable('{"count":1,"items":[{"bin":"A-1","item":{"id":"SKU-1"}}]}');
+    TestRunner.assertEqual(wrapped.rows[0]['item.id'], 'SKU-1', 'Should flatten nested objects');
+  });
+  
+  TestRunner.it('should feed CSV rows through the same mapping and validation as Excel', () => {
+    const table = parseDelimitedTable('Warehouse,Bin Number,LP,Item,On Hand\nArea-A,A-1,PAL-1,SKU-1,5\nArea-A,A-1,PAL-2,SKU-2,abc', ',');
+    const rows = applyColumnMapping(table.rows, guessColumnMapping(table.headers));
+    const report = buildImportReport(rows);
+    TestRunner.assertEqual(report.accepted.length, 1);
+    TestRunner.assertEqual(report.rejected.length, 1);
+  });
+});
+
+// ==========================================
+// TESTS: COLUMN MAPPING
+// ==========================================
+
+TestRunner.describe('Column Mapping', () => {
+  
+  TestRunner.it('should match headers ignoring case and whitespace', () => {
+    const mapping = guessColumnMapping([' location ', 'BIN', 'Pallet ID', 'item_number', 'System Quantity']);
+    TestRunner.assertEqual(mapping.Location, ' location ');
+    TestRunner.assertEqual(mapping.Bin, 'BIN');
+    TestRunner.assertEqual(mapping.PalletID, 'Pallet ID');
+    TestRunner.assertEqual(mapping.ItemNumber, 'item_number');
+    TestRunner.assertEqual(mapping.SystemQuantity, 'System Quantity');
+  });
+  
+  TestRunner.it('should guess common WMS export aliases', () => {
+    const mapping = guessColumnMapping(['Warehouse', 'Bin Number', 'LP', 'Item', 'On Hand', 'Units']);
+    TestRunner.assertEqual(mapping.Location, 'Warehouse');
+    TestRunner.assertEqual(mapping.Bin, 'Bin Number');
+    TestRunner.assertEqual(mapping.PalletID, 'LP');
+    TestRunner.assertEqual(mapping.ItemNumber, 'Item');
+    TestRunner.assertEqual(mapping.SystemQuantity, 'On Hand');
+    TestRunner.assertEqual(mapping.UOM, 'Units');
+    TestRunner.assertEqual(mapping.ExpiryDate, null, 'Unmatched columns should be null');
+  });
+  
+  TestRunner.it('should report missing required columns', () => {
+    const mapping = guessColumnMapping(['Bin', 'LP', 'Qty']);
+    TestRunner.assertArrayEqual(getMissingMappedColumns(mapping), ['Location', 'ItemNumber']);
+  });
+  
+  TestRunner.it('should rename row keys using the mapping', () => {
+    const rows = [{ 'Bin Number': 'A-1', 'LP': 'PAL-001', 'Ignored': 'x' }];
+    const mapped = applyColumnMapping(rows, { Bin: 'Bin Number', PalletID: 'LP', Location: null });
+    TestRunner.assertObjectEqual(mapped[0], { Bin: 'A-1', PalletID: 'PAL-001' });
+  });
+  
+  TestRunner.it('should apply a saved profile and fall back to guesses', () => {
+    const profile = { name: 'Legacy', mapping: { PalletID: 'Tag', Bin: 'Old Bin Header' } };
+    const mapping = resolveProfileMapping(profile, ['Tag', 'Bin', 'LP']);
+    TestRunner.assertEqual(mapping.PalletID, 'Tag', 'Should use profile header when present');
+    TestRunner.assertEqual(mapping.Bin, 'Bin', 'Should guess when profile header is absent');
+  });
 });
 
 // ==========================================
@@ -218,10 +500,424 @@ TestRunner.describe('Bin Filtering', () => {
   });
   
   TestRunner.it('should filter by bin prefix', () => {
-    const location = 'Area-A';
-    const prefix = 'A-';
-    const filtered = inventoryData.filter(item => item.Location === location && item.Bin.startsWith(prefix));
+    const index = buildInventoryIndex(inventoryData);
+    const bins = filterBins(getLocationBins(index, 'Area-A'), 'A-', DEFAULT_BIN_HIERARCHY);
+    const filtered = getPalletsInBins(index, 'Area-A', bins);
     TestRunner.assertEqual(filtered.length, 3, 'Should return 3 items with A- prefix');
+    TestRunner.assertArrayEqual(filterBins(getLocationBins(index, 'Area-A'), 'a-2', DEFAULT_BIN_HIERARCHY), ['A-2'], 'Prefixes ignore case');
+  });
+  
+  TestRunner.it('should filter by bin range', () => {
+    const index = buildInventoryIndex(inventoryData);
+    const bins = filterBins(getLocationBins(index, 'Area-A'), 'A-2..A-3', DEFAULT_BIN_HIERARCHY);
+    TestRunner.assertArrayEqual(bins, ['A-2', 'A-3']);
+  });
+  
+  TestRunner.it('should index locations, bins and pallets', () => {
+    const index = buildInventoryIndex(inventoryData);
+    
+    TestRunner.assertArrayEqual(index.locations, ['Area-A', 'Area-B']);
+    TestRunner.assertArrayEqual(getLocationBins(index, 'Area-A'), ['A-1', 'A-2', 'A-3']);
+    TestRunner.assertArrayEqual(getLocationBins(index, 'Area-C'), [], 'Unknown location has no bins');
+    TestRunner.assertEqual(index.byPalletUpper.get('PAL-004').Bin, 'B-1');
+    TestRunner.assert(index.itemNumbersUpper.has(String(inventoryData[0].ItemNumber).toUpperCase()), 'Item numbers are indexed for scans');
+  });
+  
+  TestRunner.it('should return indexed bins in import order', () => {
+    const index = buildInventoryIndex(inventoryData);
+    const pallets = getPalletsInBins(index, 'Area-A', ['A-3', 'A-1']);
+    
+    TestRunner.assertArrayEqual(pallets.map(p => p.PalletID), ['PAL-001', 'PAL-003'], 'Same order as a filter');
+    TestRunner.assertEqual(getPalletsInBins(index, 'Area-B', ['A-1']).length, 0, 'Bins belong to their location');
+  });
+});
+
+
+// ==========================================
+// TESTS: BIN HIERARCHY
+// ==========================================
+
+TestRunner.describe('Bin Hierarchy', () => {
+  
+  const bins = ['A-10-1', 'A-02-1', 'A-02-2', 'A-1-1', 'B-01-1', 'B-01-2', 'DOCK'];
+  
+  TestRunner.it('should sort bin codes by their numbers', () => {
+    TestRunner.assertArrayEqual(['A-10', 'A-2', 'a-1', 'B-1'].sort(compareBinCodes), ['a-1', 'A-2', 'A-10', 'B-1']);
+    TestRunner.assertEqual(compareBinCodes('A-01', 'A-1'), 0, 'Zero padding does not matter');
+  });
+  
+  TestRunner.it('should group bins by configured levels', () => {
+    TestRunner.assertArrayEqual(getBinGroups('A-01-3', DEFAULT_BIN_HIERARCHY), ['A', 'A-01']);
+    TestRunner.assertArrayEqual(getBinGroups('A-01-3-R', DEFAULT_BIN_HIERARCHY), ['A', 'A-01'], 'Extra parts stay in the bin');
+    TestRunner.assertArrayEqual(getBinGroups('A.01/3', { levels: ['Aisle', 'Bin'], separators: './' }), ['A']);
+    TestRunner.assertArrayEqual(getBinGroups('A-01-3', { levels: ['Bin'], separators: '-' }), [], 'One level is a flat list');
+    TestRunner.assertArrayEqual(getBinGroups('A-01-3', { levels: ['Aisle', 'Bin'], separators: '' }), [], 'No separators is a flat list');
+  });
+  
+  TestRunner.it('should build a tree of groups in bin order', () => {
+    const tree = buildBinTree(bins, DEFAULT_BIN_HIERARCHY);
+    const aisleA = tree.children[0];
+    
+    TestRunner.assertArrayEqual(tree.children.map(child => child.key || child.bin), ['A', 'B', 'DOCK']);
+    TestRunner.assertEqual(aisleA.level, 'Aisle');
+    TestRunner.assertArrayEqual(aisleA.children.map(child => child.label), ['1', '02', '10']);
+    TestRunner.assertEqual(aisleA.children[1].level, 'Bay');
+    TestRunner.assertArrayEqual(aisleA.bins, ['A-1-1', 'A-02-1', 'A-02-2', 'A-10-1']);
+    TestRunner.assertArrayEqual(aisleA.children[1].children.map(child => child.bin), ['A-02-1', 'A-02-2']);
+  });
+  
+  TestRunner.it('should use the location hierarchy, then the default', () => {
+    const hierarchies = [{ location: 'Area-A', levels: ['Row', 'Bin'], separators: '.' }, { location: '*', levels: ['Zone', 'Bin'], separators: '-' }];
+    TestRunner.assertEqual(findBinHierarchy(hierarchies, 'Area-A').levels[0], 'Row');
+    TestRunner.assertEqual(findBinHierarchy(hierarchies, 'Area-B').levels[0], 'Zone');
+    TestRunner.assertEqual(findBinHierarchy([], 'Area-B'), DEFAULT_BIN_HIERARCHY);
+  });
+  
+  TestRunner.it('should match prefixes, wildcards and ranges', () => {
+    TestRunner.assertArrayEqual(filterBins(bins, 'B-', DEFAULT_BIN_HIERARCHY), ['B-01-1', 'B-01-2']);
+    TestRunner.assertArrayEqual(filterBins(bins, '*-2', DEFAULT_BIN_HIERARCHY), ['A-02-2', 'B-01-2']);
+    TestRunner.assertArrayEqual(filterBins(bins, 'A-01..A-02', DEFAULT_BIN_HIERARCHY), ['A-02-1', 'A-02-2', 'A-1-1'], 'Range includes bins inside its last group');
+    TestRunner.assertArrayEqual(filterBins(bins, 'A-1-1..A-2-1', DEFAULT_BIN_HIERARCHY), ['A-02-1', 'A-1-1']);
+    TestRunner.assertArrayEqual(filterBins(bins, 'B-01-2.., dock', DEFAULT_BIN_HIERARCHY), ['B-01-2', 'DOCK'], 'Open range and a second term');
+    TestRunner.assertEqual(filterBins(bins, '  ', DEFAULT_BIN_HIERARCHY).length, bins.length, 'Empty filter keeps all bins');
+    TestRunner.assertArrayEqual(filterBins(['A-2', 'A-20'], '..A-2', DEFAULT_BIN_HIERARCHY), ['A-2'], 'A-20 is not inside A-2');
+  });
+  
+  TestRunner.it('should report tri-state group selection', () => {
+    TestRunner.assertEqual(getSelectionState(['A-1', 'A-2'], new Set()), 'none');
+    TestRunner.assertEqual(getSelectionState(['A-1', 'A-2'], new Set(['A-2', 'B-1'])), 'some');
+    TestRunner.assertEqual(getSelectionState(['A-1', 'A-2'], new Set(['A-1', 'A-2'])), 'all');
+  });
+  
+  TestRunner.it('should find when each bin was last counted', () => {
+    const sessions = [{ sessionId: 'S1', location: 'Area-A' }, { sessionId: 'S2', location: 'Area-B' }];
+    const actions = [
+      { sessionId: 'S1', bin: 'A-1', timestamp: '2026-10-01T08:00:00.000Z' },
+      { sessionId: 'S1', bin: 'A-1', timestamp: '2026-10-03T08:00:00.000Z' },
+      { sessionId: 'S1', bin: 'A-1', timestamp: '2026-10-02T08:00:00.000Z' },
+      { sessionId: 'S2', bin: 'A-1', timestamp: '2026-10-05T08:00:00.000Z' },
+      { sessionId: 'S9', bin: 'A-2', timestamp: '2026-10-05T08:00:00.000Z' }
+    ];
+    const lastCounted = getLastCountedBins(sessions, actions);
+    
+    TestRunner.assertEqual(lastCounted.get('Area-A').get('A-1'), '2026-10-03T08:00:00.000Z');
+    TestRunner.assertEqual(lastCounted.get('Area-B').get('A-1'), '2026-10-05T08:00:00.000Z', 'Bins are per location');
+    TestRunner.assert(!lastCounted.get('Area-A').has('A-2'), 'Actions of unknown sessions are ignored');
+    
+    noteBinCounted(lastCounted, 'Area-A', { bin: 'A-1', timestamp: '2026-10-09T08:00:00.000Z', reviewDecision: 'approved' });
+    noteBinCounted(lastCounted, 'Area-C', { bin: 'C-1', timestamp: '2026-10-09T08:00:00.000Z' });
+    TestRunner.assertEqual(lastCounted.get('Area-A').get('A-1'), '2026-10-03T08:00:00.000Z', 'Supervisor decisions are not counts');
+    TestRunner.assertEqual(lastCounted.get('Area-C').get('C-1'), '2026-10-09T08:00:00.000Z', 'New counts are added to the map');
+  });
+});
+
+
+// ==========================================
+// TESTS: LARGE IMPORTS
+// ==========================================
+
+TestRunner.describe('Large Imports', () => {
+  
+  const ROWS = 50000;
+  const generateCsv = () => {
+    const lines = ['Warehouse,Bin Number,LPN,SKU,On Hand,Description'];
+    for (let i = 0; i < ROWS; i++) {
+      lines.push(['Area-' + (i % 5), 'B-' + String(Math.floor(i / 50) % 400).padStart(3, '0'), 'PAL-' + String(i).padStart(6, '0'), 'SKU-' + (i % 900), i % 250, 'Item ' + (i % 900)].join(','));
+    }
+    return new TextEncoder().encode(lines.join('\n'));
+  };
+  
+  TestRunner.it('should parse, validate and index a 50k-row file quickly', () => {
+    const started = Date.now();
+    const source = readImportSource('bench.csv', 'csv', generateCsv());
+    const { headers, rows } = source.sheets['bench.csv'];
+    const report = buildImportReport(applyColumnMapping(rows, guessColumnMapping(headers)));
+    const index = buildInventoryIndex(report.accepted);
+    const elapsed = Date.now() - started;
+    
+    TestRunner.assertEqual(report.accepted.length, ROWS, 'Every row accepted');
+    TestRunner.assertEqual(index.locations.length, 5);
+    TestRunner.assert(elapsed < 10000, 'Parsed, validated and indexed in ' + elapsed + 'ms');
+    console.log(`  ⏱  ${ROWS} rows parsed, validated and indexed in ${elapsed}ms`);
+  });
+  
+  TestRunner.it('should look up bins in 50k rows without scanning them', () => {
+    const source = readImportSource('bench.csv', 'csv', generateCsv());
+    const { headers, rows } = source.sheets['bench.csv'];
+    const inventory = buildImportReport(applyColumnMapping(rows, guessColumnMapping(headers))).accepted;
+    const index = buildInventoryIndex(inventory);
+    const bins = getLocationBins(index, 'Area-0').slice(0, 20);
+    
+    const started = Date.now();
+    let pallets = [];
+    for (let tap = 0; tap < 1000; tap++) pallets = getPalletsInBins(index, 'Area-0', bins);
+    const elapsed = Date.now() - started;
+    
+    const filtered = inventory.filter(item => item.Location === 'Area-0' && bins.includes(item.Bin));
+    TestRunner.assertArrayEqual(pallets.map(p => p.PalletID), filtered.map(p => p.PalletID), 'Same pallets and order as a filter');
+    TestRunner.assert(elapsed < 1000, '1000 lookups in ' + elapsed + 'ms');
+  });
+  
+  TestRunner.it('should render only the rows in view', () => {
+    const top = getVisibleRange({ scrollOffset: 0, viewportSize: 400, itemSize: 40, itemCount: ROWS, overscan: 5 });
+    TestRunner.assertEqual(top.start, 0);
+    TestRunner.assertEqual(top.end, 16, '11 visible rows plus overscan');
+    TestRunner.assertEqual(top.after, (ROWS - 16) * 40, 'Spacer stands in for the rest');
+    
+    const middle = getVisibleRange({ scrollOffset: 40 * 25000, viewportSize: 400, itemSize: 40, itemCount: ROWS, overscan: 5 });
+    TestRunner.assertEqual(middle.start, 24995);
+    TestRunner.assertEqual(middle.before, 24995 * 40);
+    
+    const end = getVisibleRange({ scrollOffset: 40 * ROWS, viewportSize: 400, itemSize: 40, itemCount: ROWS, overscan: 5 });
+    TestRunner.assertEqual(end.end, ROWS, 'Never past the last row');
+    TestRunner.assertEqual(end.after, 0);
+  });
+  
+  TestRunner.it('should scroll just far enough to show a row', () => {
+    const view = { scrollOffset: 400, viewportSize: 400, itemSize: 40 };
+    TestRunner.assertEqual(scrollOffsetFor(12, view), 400, 'Already in view');
+    TestRunner.assertEqual(scrollOffsetFor(2, view), 80, 'Above: align to top');
+    TestRunner.assertEqual(scrollOffsetFor(30, view), 840, 'Below: align to bottom');
+  });
+});
+
+// ==========================================
+// TESTS: BARCODE SCANNING
+// ==========================================
+
+TestRunner.describe('Barcode Scanning', () => {
+  
+  const typeBurst = (wedge, text, start, interval) => {
+    let time = start;
+    text.split('').forEach(key => {
+      wedge.handleKeydown({ key, timeStamp: time });
+      time += interval;
+    });
+    let prevented = false;
+    wedge.handleKeydown({ key: 'Enter', timeStamp: time, preventDefault: () => { prevented = true; } });
+    return prevented;
+  };
+  
+  TestRunner.it('should detect a fast keyboard-wedge burst ending in Enter', () => {
+    const scans = [];
+    const wedge = createScanWedge({ onScan: code => scans.push(code) });
+    const prevented = typeBurst(wedge, 'PAL-0001', 1000, 10);
+    TestRunner.assertArrayEqual(scans, ['PAL-0001']);
+    TestRunner.assert(prevented, 'Should prevent the Enter default action');
+  });
+  
+  TestRunner.it('should ignore slow human typing', () => {
+    const scans = [];
+    const wedge = createScanWedge({ onScan: code => scans.push(code) });
+    typeBurst(wedge, '120', 1000, 250);
+    TestRunner.assertEqual(scans.length, 0, 'Slow typing should not be a scan');
+  });
+  
+  TestRunner.it('should ignore Shift between characters and reject short codes', () => {
+    const scans = [];
+    let bursts = 0;
+    const wedge = createScanWedge({ onScan: code => scans.push(code), onBurstStart: () => bursts++ });
+    wedge.handleKeydown({ key: 'Shift', timeStamp: 0 });
+    wedge.handleKeydown({ key: 'P', timeStamp: 5 });
+    wedge.handleKeydown({ key: 'Shift', timeStamp: 10 });
+    wedge.handleKeydown({ key: 'A', timeStamp: 15 });
+    wedge.handleKeydown({ key: 'L', timeStamp: 20 });
+    wedge.handleKeydown({ key: 'Enter', timeStamp: 25 });
+    typeBurst(wedge, '12', 5000, 5);
+    TestRunner.assertArrayEqual(scans, ['PAL'], 'Should only accept codes of minimum length');
+    TestRunner.assertEqual(bursts, 2, 'Should report the start of each burst');
+  });
+  
+  TestRunner.it('should start a new code after a pause', () => {
+    const scans = [];
+    const wedge = createScanWedge({ onScan: code => scans.push(code) });
+    wedge.handleKeydown({ key: '9', timeStamp: 0 });
+    typeBurst(wedge, 'PAL-0002', 2000, 8);
+    TestRunner.assertArrayEqual(scans, ['PAL-0002'], 'Stray key before the pause should be dropped');
+  });
+  
+  const scope = [
+    { PalletID: 'PAL-0001', Bin: 'A-1', ItemNumber: 'SKU-1001', Location: 'Area-A' },
+    { PalletID: 'PAL-0002', Bin: 'A-1', ItemNumber: 'SKU-1002', Location: 'Area-A' }
+  ];
+  const inventory = scope.concat([{ PalletID: 'PAL-0009', Bin: 'B-1', ItemNumber: 'SKU-2001', Location: 'Area-B' }]);
+  const inventoryIndex = buildInventoryIndex(inventory);
+  
+  TestRunner.it('should select in-scope pallets', () => {
+    const result = classifyScan('pal-0002 ', { scope, inventoryIndex, currentPallet: scope[0] });
+    TestRunner.assertEqual(result.type, 'pallet');
+    TestRunner.assertEqual(result.index, 1);
+  });
+  
+  TestRunner.it('should recognise item barcodes for the current pallet', () => {
+    TestRunner.assert(classifyScan('SKU-1001', { scope, inventoryIndex, currentPallet: scope[0] }).matchesCurrent, 'Should match current item');
+    TestRunner.assert(!classifyScan('SKU-1002', { scope, inventoryIndex, currentPallet: scope[0] }).matchesCurrent, 'Should not match other item');
+    TestRunner.assertEqual(classifyScan('sku-2001', { scope, inventoryIndex, currentPallet: scope[0] }).type, 'item', 'Items outside the scope are still items');
+  });
+  
+  TestRunner.it('should flag pallets found but not expected', () => {
+    const elsewhere = classifyScan('PAL-0009', { scope, inventoryIndex, currentPallet: scope[0] });
+    TestRunner.assertEqual(elsewhere.type, 'unexpected');
+    TestRunner.assertEqual(elsewhere.knownPallet.Bin, 'B-1', 'Should report where the system has it');
+    
+    const unknown = classifyScan('PAL-7777', { scope, inventoryIndex, currentPallet: scope[0] });
+    TestRunner.assertEqual(unknown.type, 'unexpected');
+    TestRunner.assertEqual(unknown.knownPallet, null);
+  });
+});
+
+// ==========================================
+// TESTS: CAMERA BARCODE DECODING
+// ==========================================
+
+TestRunner.describe('Camera Barcode Decoding', () => {
+  
+  // Renders bar/space module widths (bar first) as a still RGBA frame.
+  // Fractional module widths are anti-aliased like a real camera image.
+  const renderBarcode = (widths, { moduleWidth = 3, height = 30, quiet = 12, noise = 0 } = {}) => {
+    const modules = [];
+    widths.forEach((w, i) => { for (let k = 0; k < w; k++) modules.push(i % 2 === 0); });
+    const width = Math.ceil((modules.length + quiet * 2) * moduleWidth);
+    const data = new Uint8ClampedArray(width * height * 4);
+    let seed = 42;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    
+    for (let x = 0; x < width; x++) {
+      let coverage = 0;
+      for (let sub = 0; sub < 4; sub++) {
+        const m = Math.floor((x + sub / 4) / moduleWidth) - quiet;
+        if (modules[m]) coverage += 0.25;
+      }
+      for (let y = 0; y < height; y++) {
+        const value = 230 - coverage * 200 + (random() - 0.5) * noise;
+        const p = (y * width + x) * 4;
+        data[p] = data[p + 1] = data[p + 2] = value;
+        data[p + 3] = 255;
+      }
+    }
+    return { data, width, height };
+  };
+  
+  const code128Widths = (values) => {
+    const checksum = values.reduce((acc, v, i) => acc + v * Math.max(i, 1), 0) % 103;
+    return values.concat([checksum, CODE128_STOP]).flatMap(v => CODE128_PATTERNS[v]);
+  };
+  const code128B = (text) => code128Widths([CODE128_START.B].concat(text.split('').map(c => c.charCodeAt(0) - 32)));
+  
+  const ean13Widths = (digits) => {
+    const parity = EAN_FIRST_DIGIT_PARITY[digits[0]];
+    const left = digits.slice(1, 7).split('').flatMap((d, i) => (parity[i] === '1' ? EAN_G_PATTERNS : EAN_L_PATTERNS)[d]);
+    const right = digits.slice(7).split('').flatMap(d => EAN_L_PATTERNS[d]);
+    return [1, 1, 1].concat(left, [1, 1, 1, 1, 1], right, [1, 1, 1]);
+  };
+  
+  const transpose = (image) => {
+    const data = new Uint8ClampedArray(image.data.length);
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < image.width; x++) {
+        data.set(image.data.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4), (x * image.height + y) * 4);
+      }
+    }
+    return { data, width: image.height, height: image.width };
+  };
+  
+  TestRunner.it('should decode a Code128 pallet label', () => {
+    const result = decodeBarcodeImage(renderBarcode(code128B('PAL-0001')));
+    TestRunner.assertObjectEqual(result, { format: 'code_128', text: 'PAL-0001' });
+  });
+  
+  TestRunner.it('should decode Code128 numeric (code set C) labels', () => {
+    const result = decodeBarcodeImage(renderBarcode(code128Widths([CODE128_START.C, 0, 12, 34, 56])));
+    TestRunner.assertEqual(result.text, '00123456');
+  });
+  
+  TestRunner.it('should decode an EAN-13 item barcode', () => {
+    const result = decodeBarcodeImage(renderBarcode(ean13Widths('4006381333931')));
+    TestRunner.assertObjectEqual(result, { format: 'ean_13', text: '4006381333931' });
+  });
+  
+  TestRunner.it('should read labels upside down or held sideways', () => {
+    const upsideDown = decodeBarcodeImage(renderBarcode(code128B('PAL-0002').reverse()));
+    TestRunner.assertEqual(upsideDown && upsideDown.text, 'PAL-0002', 'Reversed label should decode');
+    const sideways = decodeBarcodeImage(transpose(renderBarcode(ean13Widths('5901234123457'))));
+    TestRunner.assertEqual(sideways && sideways.text, '5901234123457', 'Rotated label should decode');
+  });
+  
+  TestRunner.it('should tolerate blurred, noisy frames', () => {
+    const result = decodeBarcodeImage(renderBarcode(code128B('SKU-1001'), { moduleWidth: 1.7, noise: 60 }));
+    TestRunner.assertEqual(result && result.text, 'SKU-1001');
+  });
+  
+  TestRunner.it('should reject labels with a bad check digit', () => {
+    TestRunner.assertEqual(decodeBarcodeImage(renderBarcode(ean13Widths('4006381333932'))), null, 'Bad EAN-13 check digit');
+    const widths = code128B('PAL-0001');
+    const tampered = widths.slice(0, 6).concat(CODE128_PATTERNS[47], widths.slice(12));
+    TestRunner.assertEqual(decodeBarcodeImage(renderBarcode(tampered)), null, 'Bad Code128 checksum');
+  });
+  
+  TestRunner.it('should return null for frames without a barcode', () => {
+    TestRunner.assertEqual(decodeBarcodeImage(renderBarcode([])), null);
+    TestRunner.assert(isValidEan13('4006381333931') && !isValidEan13('400638133393'), 'EAN-13 check');
+  });
+  
+  TestRunner.it('should hand QR codes to jsQR when it is loaded', () => {
+    const original = globalThis.jsQR;
+    globalThis.jsQR = () => ({ data: 'PAL-0042' });
+    try {
+      TestRunner.assertObjectEqual(decodeBarcodeImage(renderBarcode([])), { format: 'qr_code', text: 'PAL-0042' });
+      TestRunner.assertEqual(decodeBarcodeImage(renderBarcode([]), { formats: ['code_128'] }), null, 'QR skipped when not requested');
+    } finally {
+      globalThis.jsQR = original;
+    }
+  });
+  
+  TestRunner.it('should decode a real QR label with the vendored jsQR', () => {
+    // Version 1-M QR code for PAL-0042, one string per module row
+    const modules = [
+      '111111100111101111111',
+      '100000100000101000001',
+      '101110101010001011101',
+      '101110101110001011101',
+      '101110101011101011101',
+      '100000101010101000001',
+      '111111101010101111111',
+      '000000001001100000000',
+      '101111100100101111100',
+      '000100010010100101111',
+      '101000110111010011011',
+      '110100001110000110001',
+      '111111110111010011010',
+      '000000001001111101100',
+      '111111100010101100110',
+      '100000101001111100100',
+      '101110101110100100110',
+      '101110101000100010100',
+      '101110101001010110100',
+      '100000100010000000101',
+      '111111101101010000100'
+    ];
+    const scale = 6;
+    const quiet = 4;
+    const size = (modules.length + quiet * 2) * scale;
+    const data = new Uint8ClampedArray(size * size * 4).fill(255);
+    modules.forEach((row, my) => row.split('').forEach((bit, mx) => {
+      if (bit !== '1') return;
+      for (let y = (my + quiet) * scale; y < (my + quiet + 1) * scale; y++) {
+        for (let x = (mx + quiet) * scale; x < (mx + quiet + 1) * scale; x++) {
+          const p = (y * size + x) * 4;
+          data[p] = data[p + 1] = data[p + 2] = 20;
+        }
+      }
+    }));
+    
+    // A global in the browser; under Node it is loaded from the repository's vendor/ folder
+    const original = globalThis.jsQR;
+    globalThis.jsQR = typeof jsQR === 'function' ? jsQR : require(require('path').join(process.cwd(), 'vendor', 'jsQR.js'));
+    try {
+      TestRunner.assertObjectEqual(decodeBarcodeImage({ data, width: size, height: size }), { format: 'qr_code', text: 'PAL-0042' });
+    } finally {
+      globalThis.jsQR = original;
+    }
   });
 });
 
@@ -275,6 +971,794 @@ TestRunner.describe('Variance Calculation', () => {
   });
 });
 
+// ==========================================
+// TESTS: VARIANCE TOLERANCE
+// ==========================================
+
+TestRunner.describe('Variance Tolerance', () => {
+  
+  const rule = (scope, match, mode, value) => ({ ruleId: toleranceRuleId(scope, match), scope, match, mode, value });
+  const rules = [
+    rule('default', '', 'absolute', 1),
+    rule('location', 'Area-A', 'percent', 5),
+    rule('uom', 'Box', 'absolute', 3),
+    rule('item', 'sku-1001', 'percent', 10)
+  ];
+  
+  TestRunner.it('should pick the most specific rule for a pallet', () => {
+    const pallet = { ItemNumber: 'SKU-1001', UOM: 'Box', Location: 'Area-A' };
+    TestRunner.assertEqual(findToleranceRule(rules, pallet).scope, 'item', 'Item rule wins (case-insensitive)');
+    TestRunner.assertEqual(findToleranceRule(rules, { ...pallet, ItemNumber: 'SKU-2001' }).scope, 'uom', 'Then UOM');
+    TestRunner.assertEqual(findToleranceRule(rules, { ...pallet, ItemNumber: 'SKU-2001', UOM: 'Unit' }).scope, 'location', 'Then location');
+    TestRunner.assertEqual(findToleranceRule(rules, { ItemNumber: 'SKU-2001', UOM: 'Unit', Location: 'Area-B' }).scope, 'default', 'Then default');
+    TestRunner.assertEqual(findToleranceRule([], pallet), DEFAULT_TOLERANCE, 'Zero tolerance without rules');
+  });
+  
+  TestRunner.it('should apply absolute and percentage tolerances', () => {
+    TestRunner.assert(isWithinTolerance(-3, 50, rule('uom', 'Box', 'absolute', 3)), '3 units allowed');
+    TestRunner.assert(!isWithinTolerance(4, 50, rule('uom', 'Box', 'absolute', 3)), '4 units outside');
+    TestRunner.assert(isWithinTolerance(5, 50, rule('item', 'X', 'percent', 10)), '10% of 50 is 5');
+    TestRunner.assert(!isWithinTolerance(6, 50, rule('item', 'X', 'percent', 10)), '6 is over 10%');
+    TestRunner.assert(!isWithinTolerance(1, 0, rule('item', 'X', 'percent', 10)), 'Percentages of 0 allow no variance');
+    TestRunner.assert(!isWithinTolerance(1, 50, DEFAULT_TOLERANCE), 'Default allows no variance');
+  });
+  
+  TestRunner.it('should require a recount, then send persistent mismatches to review', () => {
+    const first = resolveCountStatus({ flagged: false, withinTolerance: false, previous: null });
+    TestRunner.assertEqual(first, 'recount_required', 'First out-of-tolerance count needs a recount');
+    TestRunner.assertEqual(resolveCountStatus({ flagged: false, withinTolerance: true, previous: { status: first } }), 'confirmed', 'Recount within tolerance is accepted');
+    TestRunner.assertEqual(resolveCountStatus({ flagged: false, withinTolerance: false, previous: { status: first } }), 'pending_review', 'Recount still outside goes to review');
+    TestRunner.assertEqual(resolveCountStatus({ flagged: false, withinTolerance: false, previous: { status: 'confirmed' } }), 'recount_required', 'A changed count after acceptance needs a recount');
+    TestRunner.assertEqual(resolveCountStatus({ flagged: true, withinTolerance: false, previous: null }), 'flagged', 'Manual flags take precedence');
+  });
+  
+  TestRunner.it('should report within and outside tolerance separately', () => {
+    const stats = calculateVarianceStats([
+      { variance: 2, withinTolerance: true },
+      { variance: -8, withinTolerance: false },
+      { variance: 0, withinTolerance: true },
+      { variance: 3 }
+    ]);
+    TestRunner.assertEqual(stats.withinTolerance.length, 2, 'Two counts within tolerance');
+    TestRunner.assertEqual(stats.outsideTolerance.length, 2, 'Unrated variances count as outside');
+    TestRunner.assertEqual(stats.varianceCount, 3, 'Variance count is unchanged');
+  });
+});
+
+// ==========================================
+// TESTS: COUNT ACTIONS
+// ==========================================
+
+TestRunner.describe('Count Actions', () => {
+  
+  const session = { sessionId: 'SES-123', userId: 'OPERATOR-001' };
+  const pallet = { PalletID: 'PAL-001', Bin: 'A-1', ItemNumber: 'SKU-1001', SystemQuantity: 50 };
+  
+  TestRunner.it('should create an immutable count action with computed variance', () => {
+    const action = createCountAction({ sessionId: session.sessionId, pallet, countedQuantity: 45, userId: session.userId });
+    
+    TestRunner.assertEqual(action.variance, -5, 'Variance should be counted - system');
+    TestRunner.assertEqual(action.version, 1, 'First count should be version 1');
+    TestRunner.assertEqual(action.status, 'confirmed', 'Unflagged count should be confirmed');
+    TestRunner.assert(Object.isFrozen(action), 'Action should be frozen');
+  });
+  
+  TestRunner.it('should chain recounts as new versions', () => {
+    const first = createCountAction({ sessionId: session.sessionId, pallet, countedQuantity: 45, userId: 'OPERATOR-001' });
+    const second = createCountAction({ sessionId: session.sessionId, pallet, countedQuantity: 50, userId: 'OPERATOR-002', previous: first });
+    
+    TestRunner.assertEqual(second.version, 2, 'Recount should be version 2');
+    TestRunner.assertEqual(second.supersedes, first.actionId, 'Recount should reference the first count');
+    TestRunner.assertEqual(first.countedQuantity, 45, 'First count should be preserved');
+  });
+  
+  TestRunner.it('should resolve latest action per pallet and full history', () => {
+    const first = createCountAction({ sessionId: session.sessionId, pallet, countedQuantity: 45, userId: 'OPERATOR-001', flagged: true, notes: 'Damaged' });
+    const second = createCountAction({ sessionId: session.sessionId, pallet, countedQuantity: 50, userId: 'OPERATOR-001', previous: first });
+    const other = createCountAction({ sessionId: session.sessionId, pallet: { ...pallet, PalletID: 'PAL-002' }, countedQuantity: 50, userId: 'OPERATOR-001' });
+    const actions = [second, other, first];
+    
+    const latest = getLatestActions(actions);
+    TestRunner.assertEqual(latest['PAL-001'].actionId, second.actionId, 'Latest should be the recount');
+    TestRunner.assertEqual(Object.keys(latest).length, 2, 'Should have one latest action per pallet');
+    TestRunner.assertArrayEqual(getPalletHistory(actions, 'PAL-001').map(a => a.version), [1, 2], 'History should be ordered by version');
+    TestRunner.assertEqual(first.status, 'flagged', 'Flagged count should have flagged status');
+  });
+  
+  TestRunner.it('should record found pallets with system quantity 0', () => {
+    const found = createFoundPalletAction({ sessionId: session.sessionId, palletId: 'PAL-9001', bin: 'A-1', itemNumber: 'SKU-1001', countedQuantity: 12, userId: session.userId, reason: 'On floor' });
+    
+    TestRunner.assertEqual(found.actionType, 'found');
+    TestRunner.assertEqual(found.systemQuantity, 0, 'Found pallets have no system quantity');
+    TestRunner.assertEqual(found.variance, 12, 'Variance should be the whole count');
+    TestRunner.assertEqual(found.exception, 'not_in_import');
+    TestRunner.assert(!found.flagged, 'Pallets unknown to the import are not flagged');
+    TestRunner.assert(validateRecord(CountActionsSchema, found).isValid, 'Found action should satisfy the schema');
+  });
+  
+  TestRunner.it('should flag found pallets the import has elsewhere as mislocated', () => {
+    const systemPallet = { PalletID: 'PAL-002', Location: 'Area-B', Bin: 'B-3' };
+    const found = createFoundPalletAction({ sessionId: session.sessionId, palletId: 'PAL-002', bin: 'A-1', itemNumber: 'SKU-1001', countedQuantity: 5, userId: session.userId, reason: 'Put away in wrong bin', systemPallet });
+    const counted = createCountAction({ sessionId: session.sessionId, pallet, countedQuantity: 50, userId: session.userId });
+    
+    TestRunner.assertEqual(found.exception, 'mislocated');
+    TestRunner.assertEqual(found.systemBin, 'B-3', 'Should keep where the system has it');
+    TestRunner.assertEqual(found.status, 'flagged', 'Mislocated pallets are flagged');
+    TestRunner.assertEqual(counted.actionType, 'count', 'Regular counts are count actions');
+    TestRunner.assertArrayEqual(getFoundPallets(getLatestActions([counted, found])).map(a => a.palletId), ['PAL-002']);
+  });
+});
+
+// ==========================================
+// TESTS: SUPERVISOR REVIEW
+// ==========================================
+
+TestRunner.describe('Supervisor Review', () => {
+  
+  const pallet = { PalletID: 'PAL-001', Bin: 'A-1', ItemNumber: 'SKU-1001', SystemQuantity: 50 };
+  const count = (sessionId, palletId, status, previous) => createCountAction({
+    sessionId, pallet: { ...pallet, PalletID: palletId }, countedQuantity: 45, userId: 'OPERATOR-001', flagged: status === 'flagged', status, previous
+  });
+  
+  TestRunner.it('should queue flagged and pending review counts across sessions', () => {
+    const first = count('SES-1', 'PAL-001', 'recount_required');
+    const recount = count('SES-1', 'PAL-001', 'pending_review', first);
+    const flagged = count('SES-2', 'PAL-001', 'flagged');
+    const confirmed = count('SES-2', 'PAL-002', 'confirmed');
+    
+    const queue = getReviewQueue([flagged, first, confirmed, recount]);
+    TestRunner.assertArrayEqual(queue.map(a => a.actionId).sort(), [recount.actionId, flagged.actionId].sort(), 'Same pallet ID in two sessions is queued twice');
+  });
+  
+  TestRunner.it('should record decisions as new versions of the reviewed count', () => {
+    const flagged = count('SES-1', 'PAL-001', 'flagged');
+    const approved = createReviewAction({ action: flagged, decision: 'approved', reviewer: 'SUP-01' });
+    const writtenOff = createReviewAction({ action: flagged, decision: 'written_off', reviewer: 'SUP-01', reasonCode: 'damaged', comment: 'Crushed cases' });
+    const recount = createReviewAction({ action: flagged, decision: 'recount', reviewer: 'SUP-01', reasonCode: 'damaged' });
+    
+    TestRunner.assertEqual(approved.version, 2, 'Decision is the next version');
+    TestRunner.assertEqual(approved.supersedes, flagged.actionId, 'Decision supersedes the reviewed count');
+    TestRunner.assertEqual(approved.countedQuantity, 45, 'Counted quantity carries over');
+    TestRunner.assertEqual(approved.userId, 'SUP-01', 'Decision is recorded against the reviewer');
+    TestRunner.assertEqual(approved.status, 'approved');
+    TestRunner.assertEqual(writtenOff.status, 'written_off');
+    TestRunner.assertEqual(writtenOff.reasonCode, 'damaged');
+    TestRunner.assertEqual(recount.status, 'recount_required', 'A rejected count goes back for recount');
+    TestRunner.assertEqual(recount.reasonCode, undefined, 'Only write-offs keep a reason code');
+    TestRunner.assert(validateRecord(CountActionsSchema, writtenOff).isValid, 'Decision should satisfy the schema');
+    TestRunner.assertEqual(getReviewQueue([flagged, approved]).length, 0, 'Decided counts leave the queue');
+  });
+  
+  TestRunner.it('should submit a session only once every flag is resolved', () => {
+    const flagged = count('SES-1', 'PAL-001', 'flagged');
+    const confirmed = count('SES-1', 'PAL-002', 'confirmed');
+    
+    TestRunner.assertEqual(resolveSessionStatus([flagged, confirmed]), 'completed', 'Unresolved flags keep it completed');
+    const approved = createReviewAction({ action: flagged, decision: 'approved', reviewer: 'SUP-01' });
+    TestRunner.assertEqual(resolveSessionStatus([approved, confirmed]), 'submitted', 'Resolved session is submitted');
+    const recount = createReviewAction({ action: flagged, decision: 'recount', reviewer: 'SUP-01' });
+    TestRunner.assertEqual(resolveSessionStatus([recount, confirmed]), 'in-progress', 'An ordered recount reopens the session');
+  });
+});
+
+// ==========================================
+// TESTS: UNCOUNTED PALLETS
+// ==========================================
+
+TestRunner.describe('Uncounted Pallets', () => {
+  
+  const pallets = [
+    { PalletID: 'PAL-001', Bin: 'A-1', ItemNumber: 'SKU-1001', SystemQuantity: 50 },
+    { PalletID: 'PAL-002', Bin: 'A-1', ItemNumber: 'SKU-1002', SystemQuantity: 20 },
+    { PalletID: 'PAL-003', Bin: 'A-2', ItemNumber: 'SKU-1003', SystemQuantity: 5 }
+  ];
+  const count = (pallet, countedQuantity) => createCountAction({ sessionId: 'SES-1', pallet, countedQuantity, userId: 'OP-01', withinTolerance: true });
+  
+  TestRunner.it('should tell a zero count from a pallet nobody counted', () => {
+    const latest = getLatestActions([count(pallets[0], 0)]);
+    const uncounted = getUncountedPallets(pallets, latest);
+    
+    TestRunner.assertArrayEqual(uncounted.map(u => u.pallet.PalletID), ['PAL-002', 'PAL-003'], 'Counted as 0 is counted');
+    TestRunner.assertEqual(uncounted[0].skip, null, 'Never skipped');
+  });
+  
+  TestRunner.it('should attach the latest skip reason until the pallet is counted', () => {
+    const skips = [
+      createSkipEntry({ palletId: 'PAL-002', reasonCode: 'inaccessible', userId: 'OP-01' }),
+      createSkipEntry({ palletId: 'PAL-002', reasonCode: 'other', notes: 'Forklift parked in front', userId: 'OP-02' }),
+      createSkipEntry({ palletId: 'PAL-003', reasonCode: 'label_unreadable', userId: 'OP-01' })
+    ];
+    const uncounted = getUncountedPallets(pallets, getLatestActions([count(pallets[2], 5)]), skips);
+    
+    TestRunner.assertEqual(uncounted.length, 2, 'A count after a skip replaces it');
+    TestRunner.assertEqual(uncounted[1].skip.userId, 'OP-02', 'Latest skip wins');
+    TestRunner.assertEqual(uncounted[1].skip.notes, 'Forklift parked in front');
+    TestRunner.assert(Object.isFrozen(skips[0]), 'Skip entries are immutable');
+    TestRunner.assert(SKIP_REASONS[skips[0].reasonCode], 'Reason code has a label');
+  });
+  
+  TestRunner.it('should keep skips and the partial sign-off on the session', () => {
+    const session = {
+      sessionId: 'SES-1', timestamp: new Date().toISOString(), location: 'Area-A', bins: ['A-1'], userId: 'OP-01',
+      startTime: 1000, status: 'paused', totalPallets: 3, completedCount: 1, varianceCount: 0,
+      skippedPallets: [createSkipEntry({ palletId: 'PAL-002', reasonCode: 'out_of_time', userId: 'OP-01' })]
+    };
+    const signedOff = { ...session, status: 'submitted', partialSubmission: { uncounted: ['PAL-002'], reason: 'Aisle closed', approvedBy: 'SUP-01', approvedAt: new Date().toISOString() } };
+    
+    TestRunner.assert(validateRecord(CountSessionsSchema, session).isValid, 'Paused session with skips is valid');
+    TestRunner.assert(validateRecord(CountSessionsSchema, signedOff, session).isValid, 'Sign-off can be added once');
+    TestRunner.assert(!validateRecord(CountSessionsSchema, { ...signedOff, partialSubmission: { ...signedOff.partialSubmission, reason: 'Changed' } }, signedOff).isValid, 'Sign-off cannot be changed');
+  });
+});
+
+// ==========================================
+// TESTS: SESSION PACKAGES
+// ==========================================
+
+TestRunner.describe('Session Packages', () => {
+  
+  const pallet = { PalletID: 'PAL-001', Bin: 'A-1', ItemNumber: 'SKU-1001', SystemQuantity: 50 };
+  const count = (sessionId, countedQuantity, previous, palletId = 'PAL-001') => createCountAction({
+    sessionId, pallet: { ...pallet, PalletID: palletId }, countedQuantity, userId: 'OP-' + sessionId, previous, withinTolerance: true, status: 'confirmed'
+  });
+  const session = { sessionId: 'SES-1', location: 'Area-A', bins: ['A-1'], userId: 'OP-01', status: 'submitted', importBatch: 'IMP-1' };
+  
+  TestRunner.it('should package only the exported session', () => {
+    const pkg = buildSessionPackage({
+      session,
+      actions: [count('SES-2', 50), count('SES-1', 48)],
+      auditEntries: [{ logId: 'L-2', seq: 2, sessionId: 'SES-1' }, { logId: 'L-1', seq: 1, sessionId: 'SES-2' }],
+      auditHeadHash: 'a'.repeat(64),
+      exportedBy: 'OP-01'
+    });
+    
+    TestRunner.assertEqual(pkg.format, PACKAGE_FORMAT, 'Package names its format');
+    TestRunner.assertEqual(pkg.importBatch, 'IMP-1', 'Import batch travels with the package');
+    TestRunner.assertEqual(pkg.countActions.length, 1, 'Other sessions are left out');
+    TestRunner.assertArrayEqual(pkg.auditEntries.map(e => e.logId), ['L-2'], 'Only the session audit entries');
+    TestRunner.assertEqual(readSessionPackage(JSON.parse(JSON.stringify(pkg))).session.sessionId, 'SES-1', 'Survives a file round trip');
+  });
+  
+  TestRunner.it('should reject files that are not valid packages', () => {
+    const pkg = buildSessionPackage({ session, actions: [count('SES-1', 48)], auditEntries: [], auditHeadHash: 'a'.repeat(64), exportedBy: 'OP-01' });
+    const rejects = (data, fragment) => {
+      try {
+        readSessionPackage(data);
+      } catch (err) {
+        TestRunner.assert(err.message.includes(fragment), `Expected "${fragment}", got "${err.message}"`);
+        return;
+      }
+      throw new Error('Package should be rejected');
+    };
+    
+    rejects({ exportDate: '2026-02-01', sessions: [] }, 'Not a cycle count session package');
+    rejects({ ...pkg, countActions: undefined }, 'missing');
+    rejects({ ...pkg, countActions: [count('SES-9', 1)] }, 'another session');
+  });
+  
+  TestRunner.it('should merge counts by pallet and detect conflicts', () => {
+    const first = count('SES-1', 40);
+    const recount = count('SES-1', 45, first);
+    const merged = mergePalletCounts([first, recount, count('SES-2', 45), count('SES-3', 47), count('SES-1', 10, null, 'PAL-002')]);
+    
+    TestRunner.assertArrayEqual(merged.map(p => p.palletId), ['PAL-001', 'PAL-002'], 'One row per pallet');
+    TestRunner.assertEqual(merged[0].counts.length, 3, 'Latest count from each session');
+    TestRunner.assert(merged[0].counts.includes(recount) && !merged[0].counts.includes(first), 'Superseded counts are not compared');
+    TestRunner.assert(merged[0].conflict, 'Disagreeing counts conflict');
+    TestRunner.assertEqual(merged[0].countedQuantity, null, 'No consolidated quantity while in conflict');
+    TestRunner.assert(!merged[1].conflict, 'A single count is not a conflict');
+    TestRunner.assert(!mergePalletCounts([count('SES-1', 45), count('SES-2', 45)])[0].conflict, 'Matching counts agree');
+  });
+  
+  TestRunner.it('should resolve a conflict until the pallet is counted again', () => {
+    const kept = count('SES-1', 45);
+    const other = count('SES-2', 47);
+    const resolution = createConflictResolution({ action: kept, conflicting: [kept, other], reviewer: 'SUP-01', comment: 'Recounted by hand' });
+    const merged = mergePalletCounts([kept, other, resolution])[0];
+    
+    TestRunner.assertArrayEqual(resolution.overrides, [other.actionId], 'Lists the overridden counts');
+    TestRunner.assertEqual(resolution.status, 'approved', 'Kept count is approved');
+    TestRunner.assert(validateRecord(CountActionsSchema, resolution).isValid, 'Resolution should satisfy the schema');
+    TestRunner.assert(!merged.conflict && merged.resolution === resolution, 'Resolution settles the conflict');
+    TestRunner.assertEqual(merged.countedQuantity, 45, 'Kept count is the consolidated quantity');
+    
+    const again = count('SES-2', 49, other);
+    TestRunner.assert(mergePalletCounts([kept, other, resolution, again])[0].conflict, 'A new count reopens the conflict');
+  });
+});
+
+// ==========================================
+// TESTS: SERVER SYNC
+// ==========================================
+
+TestRunner.describe('Server Sync', () => {
+  
+  const action = { actionId: 'ACT-1', sessionId: 'SES-1', palletId: 'PAL-001', countedQuantity: 48 };
+  
+  TestRunner.it('should key outbox entries by store and record key', () => {
+    const entry = createOutboxEntry('CountActions', action, 1000);
+    
+    TestRunner.assertEqual(entry.outboxId, 'CountActions:ACT-1', 'Saving again replaces the queued copy');
+    TestRunner.assertEqual(entry.recordKey, 'ACT-1', 'Record key comes from the store keyPath');
+    TestRunner.assertEqual(entry.attempts, 0);
+    TestRunner.assertEqual(entry.nextAttemptAt, 1000, 'A new entry is due at once');
+    TestRunner.assertEqual(createOutboxEntry('CountSessions', { sessionId: 'SES-1' }).outboxId, 'CountSessions:SES-1');
+  });
+  
+  TestRunner.it('should back off exponentially with jitter up to the cap', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 10000 };
+    
+    TestRunner.assertEqual(retryDelay(1, options, () => 1), 1000, 'First retry waits the base delay');
+    TestRunner.assertEqual(retryDelay(3, options, () => 1), 4000, 'Doubles per attempt');
+    TestRunner.assertEqual(retryDelay(20, options, () => 1), 10000, 'Capped at maxDelayMs');
+    TestRunner.assertEqual(retryDelay(3, options, () => 0), 2000, 'Jitter takes off up to half');
+  });
+  
+  TestRunner.it('should push due entries oldest first, sessions before their counts', () => {
+    const entries = [
+      { ...createOutboxEntry('AuditLog', { logId: 'L-1' }, 2000) },
+      { ...createOutboxEntry('CountActions', action, 2000) },
+      { ...createOutboxEntry('CountSessions', { sessionId: 'SES-1' }, 2000) },
+      { ...createOutboxEntry('CountActions', { actionId: 'ACT-0' }, 1000) },
+      { ...createOutboxEntry('CountActions', { actionId: 'ACT-9' }, 1000), nextAttemptAt: 9000 }
+    ];
+    
+    TestRunner.assertArrayEqual(dueOutboxEntries(entries, 5000).map(e => e.recordKey), ['ACT-0', 'SES-1', 'ACT-1', 'L-1']);
+  });
+  
+  TestRunner.it('should schedule a retry after a failed push', () => {
+    const failed = markOutboxFailure(createOutboxEntry('CountActions', action, 1000), 'HTTP 503', 5000, { baseDelayMs: 1000 });
+    
+    TestRunner.assertEqual(failed.attempts, 1);
+    TestRunner.assertEqual(failed.lastError, 'HTTP 503');
+    TestRunner.assert(failed.nextAttemptAt >= 5500 && failed.nextAttemptAt <= 6000, 'Retried after the jittered base delay');
+    TestRunner.assertEqual(failed.queuedAt, 1000, 'Keeps its place in the queue');
+  });
+  
+  TestRunner.it('should only retry failures that may succeed later', () => {
+    TestRunner.assert(isRetryableStatus(0), 'Network error');
+    TestRunner.assert(isRetryableStatus(429), 'Rate limited');
+    TestRunner.assert(isRetryableStatus(503), 'Server error');
+    TestRunner.assert(!isRetryableStatus(400), 'Bad request is permanent');
+    TestRunner.assert(!isRetryableStatus(409), 'Conflicting write-once record is permanent');
+  });
+  
+  TestRunner.it('should validate sync config records', () => {
+    const config = { configId: SYNC_CONFIG_ID, endpoint: 'http://192.168.1.20:8787', deviceId: 'DEV-1', enabled: true, updatedAt: new Date().toISOString() };
+    
+    TestRunner.assert(validateRecord(SyncConfigSchema, config).isValid, 'HTTP endpoint accepted');
+    TestRunner.assert(!validateRecord(SyncConfigSchema, { ...config, endpoint: 'ftp://server' }).isValid, 'Non-HTTP endpoint rejected');
+  });
+});
+
+// ==========================================
+// TESTS: SYNC SERVER
+// ==========================================
+
+// The reference server (sync-server.js) is a Node program, so its tests run under Node only
+if (typeof require === 'function') {
+  TestRunner.describe('Sync Server', () => {
+    
+    const server = require(require('path').join(process.cwd(), 'sync-server.js'));
+    const createStore = () => ({ state: { seq: 0, sessions: {}, actions: {}, audit: {}, locks: {} }, save() {} });
+    const session = (sessionId, location, bins) => ({ sessionId, location, bins, status: 'in-progress' });
+    const action = (actionId, sessionId, bin) => ({ actionId, sessionId, palletId: 'PAL-' + actionId, bin, countedQuantity: 5 });
+    
+    TestRunner.it('should store actions once and accept retried pushes', () => {
+      const store = createStore();
+      
+      TestRunner.assertEqual(server.storeRecord(store, 'actions', 'ACT-1', 'DEV-1', action('ACT-1', 'SES-1', 'A-1')).status, 201);
+      const retry = server.storeRecord(store, 'actions', 'ACT-1', 'DEV-1', action('ACT-1', 'SES-1', 'A-1'));
+      TestRunner.assertEqual(retry.status, 200);
+      TestRunner.assert(retry.body.duplicate, 'Same content is a duplicate');
+      TestRunner.assertEqual(server.storeRecord(store, 'actions', 'ACT-1', 'DEV-2', { ...action('ACT-1', 'SES-1', 'A-1'), countedQuantity: 9 }).status, 409, 'Different content refused');
+      TestRunner.assertEqual(store.state.actions['ACT-1'].record.countedQuantity, 5, 'Stored action unchanged');
+      TestRunner.assertEqual(store.state.seq, 1, 'Refused and duplicate pushes do not advance the cursor');
+    });
+    
+    TestRunner.it('should refuse records that do not match the URL or lack a device', () => {
+      const store = createStore();
+      
+      TestRunner.assertEqual(server.storeRecord(store, 'actions', 'ACT-2', 'DEV-1', action('ACT-1', 'SES-1', 'A-1')).status, 400, 'Key mismatch');
+      TestRunner.assertEqual(server.storeRecord(store, 'actions', 'ACT-1', '', action('ACT-1', 'SES-1', 'A-1')).status, 400, 'No deviceId');
+      TestRunner.assertEqual(server.storeRecord(store, 'audit', 'LOG-1', 'DEV-1', null).status, 400, 'No record');
+      TestRunner.assertEqual(Object.keys(store.state.actions).length, 0);
+    });
+    
+    TestRunner.it('should keep the latest session version with its starting device', () => {
+      const store = createStore();
+      server.storeRecord(store, 'sessions', 'SES-1', 'DEV-1', session('SES-1', 'Area-A', ['A-1']));
+      const update = server.storeRecord(store, 'sessions', 'SES-1', 'DEV-SUP', { ...session('SES-1', 'Area-A', ['A-1']), status: 'submitted' });
+      
+      TestRunner.assertEqual(update.status, 200);
+      TestRunner.assertEqual(store.state.sessions['SES-1'].record.status, 'submitted', 'Latest version wins');
+      TestRunner.assertEqual(store.state.sessions['SES-1'].deviceId, 'DEV-1', 'Session stays with its device');
+      TestRunner.assertEqual(store.state.sessions['SES-1'].updatedBy, 'DEV-SUP');
+    });
+    
+    TestRunner.it('should refuse session records without location and bins', () => {
+      const store = createStore();
+      server.storeRecord(store, 'sessions', 'SES-1', 'DEV-1', session('SES-1', 'Area-A', ['A-1']));
+      
+      TestRunner.assertEqual(server.storeRecord(store, 'sessions', 'SES-2', 'DEV-2', { sessionId: 'SES-2', location: 'Area-A' }).status, 400, 'No bins');
+      TestRunner.assertEqual(server.storeRecord(store, 'sessions', 'SES-2', 'DEV-2', { sessionId: 'SES-2', bins: ['A-1'] }).status, 400, 'No location');
+      TestRunner.assertEqual(server.storeRecord(store, 'sessions', 'SES-2', 'DEV-2', session('SES-2', 'Area-A', 'A-1')).status, 400, 'Bins not an array');
+      
+      // A bad record stored before validation must not break progress for the location
+      store.state.sessions['SES-3'] = { seq: 9, deviceId: 'DEV-3', record: { sessionId: 'SES-3', location: 'Area-A' } };
+      const progress = server.findProgress(store, { location: 'Area-A', bins: ['A-1'], since: 0, exclude: 'DEV-2' });
+      TestRunner.assertArrayEqual(progress.sessions.map(s => s.sessionId), ['SES-1']);
+    });
+    
+    TestRunner.it('should return other devices\' progress for the bins since the cursor', () => {
+      const store = createStore();
+      server.storeRecord(store, 'sessions', 'SES-1', 'DEV-1', session('SES-1', 'Area-A', ['A-1', 'A-2']));
+      server.storeRecord(store, 'sessions', 'SES-2', 'DEV-2', session('SES-2', 'Area-A', ['A-1']));
+      server.storeRecord(store, 'sessions', 'SES-3', 'DEV-3', session('SES-3', 'Area-B', ['A-1']));
+      server.storeRecord(store, 'actions', 'ACT-1', 'DEV-1', action('ACT-1', 'SES-1', 'A-1'));
+      server.storeRecord(store, 'actions', 'ACT-2', 'DEV-1', action('ACT-2', 'SES-1', 'A-2'));
+      const cursor = store.state.seq;
+      server.storeRecord(store, 'actions', 'ACT-3', 'DEV-1', action('ACT-3', 'SES-1', 'A-1'));
+      
+      const progress = server.findProgress(store, { location: 'Area-A', bins: ['A-1'], since: 0, exclude: 'DEV-2' });
+      TestRunner.assertArrayEqual(progress.sessions.map(s => s.sessionId), ['SES-1'], 'Own device and other locations left out');
+      TestRunner.assertArrayEqual(progress.actions.map(a => a.actionId), ['ACT-1', 'ACT-3'], 'Only counts in the requested bins');
+      TestRunner.assertObjectEqual(progress.devices, { 'SES-1': 'DEV-1' });
+      TestRunner.assertEqual(progress.cursor, store.state.seq);
+      
+      const later = server.findProgress(store, { location: 'Area-A', bins: ['A-1'], since: cursor, exclude: 'DEV-2' });
+      TestRunner.assertArrayEqual(later.actions.map(a => a.actionId), ['ACT-3'], 'Only changes after the cursor');
+      TestRunner.assertEqual(later.sessions.length, 0);
+    });
+    
+    TestRunner.it('should lock all requested bins or none', () => {
+      const store = createStore();
+      const now = 1000000;
+      const first = server.lockBins(store, { deviceId: 'DEV-1', sessionId: 'SES-1', location: 'Area-A', bins: ['A-1', 'A-2'], ttlMs: 60000 }, now);
+      TestRunner.assertEqual(first.status, 200);
+      
+      const conflict = server.lockBins(store, { deviceId: 'DEV-2', sessionId: 'SES-2', location: 'Area-A', bins: ['A-2', 'A-3'] }, now);
+      TestRunner.assertEqual(conflict.status, 409);
+      TestRunner.assertArrayEqual(conflict.body.conflicts.map(lock => lock.bin), ['A-2']);
+      TestRunner.assert(!store.state.locks['Area-A\u0000A-3'], 'No bin locked when one conflicts');
+      
+      TestRunner.assertEqual(server.lockBins(store, { deviceId: 'DEV-2', sessionId: 'SES-2', location: 'Area-B', bins: ['A-2'] }, now).status, 200, 'Same bin code in another location');
+      TestRunner.assertEqual(server.lockBins(store, { deviceId: 'DEV-1', sessionId: 'SES-1', location: 'Area-A', bins: ['A-1', 'A-2'], ttlMs: 60000 }, now + 30000).status, 200, 'Renewed by the same session');
+      TestRunner.assertEqual(server.lockBins(store, { deviceId: 'DEV-2', sessionId: 'SES-2', location: 'Area-A', bins: ['A-2'] }, now + 100000).status, 200, 'Lapsed locks do not conflict');
+      TestRunner.assertEqual(server.lockBins(store, { deviceId: 'DEV-2', sessionId: 'SES-2', location: 'Area-A', bins: [] }, now).status, 400, 'Bins required');
+    });
+    
+    TestRunner.it('should only release locks held by the requesting device', () => {
+      const store = createStore();
+      server.lockBins(store, { deviceId: 'DEV-1', sessionId: 'SES-1', location: 'Area-A', bins: ['A-1', 'A-2'] });
+      
+      TestRunner.assertEqual(server.releaseLocks(store, 'SES-1', null).status, 400, 'deviceId required');
+      TestRunner.assertEqual(server.releaseLocks(store, 'SES-1', 'DEV-2').body.released, 0, 'Another device cannot release them');
+      TestRunner.assertEqual(Object.keys(store.state.locks).length, 2);
+      TestRunner.assertEqual(server.releaseLocks(store, 'SES-1', 'DEV-1').body.released, 2);
+      TestRunner.assertEqual(Object.keys(store.state.locks).length, 0);
+    });
+  });
+}
+
+// ==========================================
+// TESTS: NETSUITE ADJUSTMENTS
+// ==========================================
+
+TestRunner.describe('NetSuite Adjustments', () => {
+  
+  const session = { sessionId: 'SES-1', location: 'Area-A', bins: ['A-1', 'A-2'] };
+  const inventory = [
+    { PalletID: 'PAL-001', Bin: 'A-1', ItemNumber: 'SKU-1001', SystemQuantity: 50, UOM: 'Box' },
+    { PalletID: 'PAL-002', Bin: 'A-1', ItemNumber: 'SKU-1002', SystemQuantity: 20 },
+    { PalletID: 'PAL-003', Bin: 'A-2', ItemNumber: 'SKU-1001', SystemQuantity: 10, UOM: 'Box' },
+    { PalletID: 'PAL-004', Bin: 'A-2', ItemNumber: 'SKU-1003', SystemQuantity: 5 }
+  ];
+  const count = (palletId, countedQuantity, extra = {}) => createCountAction({
+    sessionId: 'SES-1', pallet: inventory.find(p => p.PalletID === palletId), countedQuantity, userId: 'OP-01', withinTolerance: true, ...extra
+  });
+  const flaggedCount = count('PAL-003', 8, { flagged: true });
+  const actions = [
+    count('PAL-001', 48),
+    count('PAL-002', 20),
+    flaggedCount,
+    createReviewAction({ action: count('PAL-004', 2, { status: 'pending_review' }), decision: 'written_off', reviewer: 'SUP-01', reasonCode: 'damaged' }),
+    createFoundPalletAction({ sessionId: 'SES-1', palletId: 'PAL-900', bin: 'A-2', itemNumber: 'SKU-1001', countedQuantity: 3, userId: 'OP-01', reason: 'Extra' }),
+    createReviewAction({
+      action: createFoundPalletAction({ sessionId: 'SES-1', palletId: 'PAL-901', bin: 'A-2', itemNumber: 'SKU-1002', countedQuantity: 4, userId: 'OP-01', systemPallet: { Location: 'Area-B', Bin: 'B-1' } }),
+      decision: 'approved',
+      reviewer: 'SUP-01'
+    })
+  ];
+  
+  TestRunner.it('should adjust resolved variances only', () => {
+    const { lines, unresolved, mislocated } = buildAdjustmentLines({ sessions: [session], actions, inventory });
+    
+    TestRunner.assertArrayEqual(lines.map(l => l.palletId), ['PAL-001', 'PAL-004', 'PAL-900'], 'Zero variances and unresolved flags are left out');
+    TestRunner.assertArrayEqual(lines.map(l => l.adjustQtyBy), [-2, -3, 3], 'Counted minus system');
+    TestRunner.assertArrayEqual(unresolved.map(a => a.palletId), ['PAL-003'], 'Flagged pallet is reported');
+    TestRunner.assertArrayEqual(mislocated.map(a => a.palletId), ['PAL-901'], 'Mislocated pallet needs a bin transfer');
+  });
+  
+  TestRunner.it('should carry UOM, reason code and session memo', () => {
+    const { lines } = buildAdjustmentLines({ sessions: [session], actions, inventory });
+    const byPallet = Object.fromEntries(lines.map(l => [l.palletId, l]));
+    
+    TestRunner.assertEqual(byPallet['PAL-001'].uom, 'Box');
+    TestRunner.assertEqual(byPallet['PAL-004'].uom, 'Unit', 'Missing UOM defaults to Unit');
+    TestRunner.assertEqual(byPallet['PAL-900'].uom, 'Box', 'Found pallet takes its item UOM');
+    TestRunner.assertEqual(byPallet['PAL-001'].reasonCode, CYCLE_COUNT_REASON);
+    TestRunner.assertEqual(byPallet['PAL-004'].reasonCode, 'damaged', 'Write-off keeps its reason code');
+    TestRunner.assert(byPallet['PAL-001'].memo.includes('SES-1'), 'Memo names the session');
+  });
+  
+  TestRunner.it('should group lines into one adjustment per location', () => {
+    const other = { sessionId: 'SES-2', location: 'Area-B', bins: ['B-1'] };
+    const otherCount = createCountAction({ sessionId: 'SES-2', pallet: { PalletID: 'PAL-100', Bin: 'B-1', ItemNumber: 'SKU-9', SystemQuantity: 1 }, countedQuantity: 0, userId: 'OP-02', withinTolerance: true });
+    const { lines } = buildAdjustmentLines({ sessions: [other, session], actions: [...actions, otherCount], inventory });
+    const adjustments = groupAdjustmentsByLocation(lines, '2024-03-01');
+    
+    TestRunner.assertArrayEqual(adjustments.map(a => a.location), ['Area-A', 'Area-B']);
+    TestRunner.assertEqual(adjustments[0].lines.length, 3);
+    TestRunner.assertEqual(adjustments[0].externalId, 'CC-SES-1-Area-A');
+    TestRunner.assertEqual(adjustments[1].date, '2024-03-01');
+  });
+  
+  TestRunner.it('should write the CSV import template', () => {
+    const { lines } = buildAdjustmentLines({ sessions: [session], actions, inventory });
+    const rows = parseDelimitedText(toAdjustmentCsv(groupAdjustmentsByLocation(lines, '2024-03-01')), ',');
+    
+    TestRunner.assertArrayEqual(rows[0], NETSUITE_CSV_COLUMNS, 'Header row');
+    TestRunner.assertEqual(rows.length, 4, 'One row per line');
+    TestRunner.assertArrayEqual(rows[1].slice(4, 10), ['SKU-1001', 'Area-A', 'A-1', '-2', 'Box', 'cycle_count']);
+  });
+  
+  TestRunner.it('should shape JSON like the REST inventoryAdjustment record', () => {
+    const { lines } = buildAdjustmentLines({ sessions: [session], actions, inventory });
+    const [record] = toInventoryAdjustmentRecords(groupAdjustmentsByLocation(lines, '2024-03-01'));
+    const line = record.inventory.items[1];
+    
+    TestRunner.assertEqual(record.tranDate, '2024-03-01');
+    TestRunner.assertEqual(record.adjLocation.refName, 'Area-A');
+    TestRunner.assertEqual(line.adjustQtyBy, -3);
+    TestRunner.assertEqual(line[NETSUITE_REASON_FIELD], 'damaged');
+    TestRunner.assertEqual(line.inventoryDetail.inventoryAssignment.items[0].binNumber.refName, 'A-2', 'Bin goes in the inventory detail');
+  });
+});
+
+
+// ==========================================
+// TESTS: PDF REPORT
+// ==========================================
+
+TestRunner.describe('PDF Report', () => {
+  
+  const asText = bytes => Array.from(bytes, b => String.fromCharCode(b)).join('');
+  const report = rows => buildReportPdf({
+    header: { title: 'Cycle Count Report', subtitle: 'SES-1' },
+    footer: 'Generated today',
+    title: 'Cycle Count Report',
+    details: [['Session ID', 'SES-1']],
+    summary: [['Accuracy', '98.50%'], ['Net Variance', '-4']],
+    sections: [{ title: 'Exceptions', columns: [{ title: 'Pallet', width: 0.5 }, { title: 'Variance', width: 0.5, align: 'right' }], rows: rows }],
+    signOff: [{ role: 'Operator', name: 'OP-01' }, { role: 'Supervisor', name: '' }],
+    createdAt: new Date('2024-03-01T10:00:00Z')
+  });
+  
+  TestRunner.it('should write a well-formed PDF with searchable text', () => {
+    const pdf = asText(report([['PAL-001', '-4']]));
+    
+    TestRunner.assert(pdf.startsWith('%PDF-1.4'), 'PDF header');
+    TestRunner.assert(pdf.trimEnd().endsWith('%%EOF'), 'PDF trailer');
+    TestRunner.assert(pdf.includes('/BaseFont /Helvetica '), 'Standard font, not an image');
+    TestRunner.assert(pdf.includes('(PAL-001) Tj'), 'Row text is in the page');
+    TestRunner.assert(pdf.includes('(Operator: OP-01) Tj'), 'Sign-off line');
+    
+    const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    TestRunner.assert(pdf.slice(startxref).startsWith('xref'), 'startxref points at the xref table');
+  });
+  
+  TestRunner.it('should number every page and repeat table headers', () => {
+    const rows = Array.from({ length: 3000 }, (_, i) => ['PAL-' + String(i).padStart(5, '0'), String(i % 7 - 3)]);
+    const pdf = asText(report(rows));
+    const pages = Number(pdf.match(/\/Count (\d+)/)[1]);
+    
+    TestRunner.assert(pages > 50, 'Thousands of rows span many pages');
+    TestRunner.assert(pdf.includes('(Page 1 of ' + pages + ') Tj'), 'First page footer');
+    TestRunner.assert(pdf.includes('(Page ' + pages + ' of ' + pages + ') Tj'), 'Last page footer');
+    TestRunner.assertEqual(pdf.split('(Cycle Count Report) Tj').length - 1, pages + 1, 'Header on every page, plus the title');
+    TestRunner.assertEqual(pdf.split('(Exceptions \\(continued\\)) Tj').length - 1, pages - 2, 'Table continues with its header');
+  });
+  
+  TestRunner.it('should escape and encode text for WinAnsi', () => {
+    const pdf = asText(report([['Bin (A) \\ 1', '−2 • ok ✓']]));
+    
+    TestRunner.assert(pdf.includes('(Bin \\(A\\) \\\\ 1) Tj'), 'Parentheses and backslashes are escaped');
+    TestRunner.assertEqual(toWinAnsi('−2 • ok ✓'), '-2 \x95 ok ?', 'Minus, bullet and unsupported characters');
+  });
+  
+  TestRunner.it('should fit and wrap text to a width', () => {
+    const fitted = fitText('A very long item description that cannot fit', 60, 8);
+    
+    TestRunner.assert(fitted.endsWith('…'), 'Truncated with an ellipsis');
+    TestRunner.assert(pdfTextWidth(fitted, 8) <= 60, 'Fits the width');
+    TestRunner.assert(wrapText('a'.repeat(200), 100, 8).every(line => pdfTextWidth(line, 8) <= 100), 'Long words are broken');
+  });
+});
+
+
+// ==========================================
+// TESTS: EXCEL REPORT
+// ==========================================
+
+TestRunner.describe('Excel Report', () => {
+  
+  const stylesXml = '<styleSheet><fonts count="1"><font><sz val="12"/></font></fonts><fills count="2"><fill/><fill/></fills>' +
+    '<cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="60"/></cellXfs><dxfs count="0"/></styleSheet>';
+  const sheetXml = '<worksheet><sheetViews><sheetView workbookViewId="0"/></sheetViews><sheetData>' +
+    '<row r="1"><c r="A1" t="str"><v>Pallet</v></c><c r="B1" t="str"><v>Variance</v></c></row>' +
+    '<row r="2"><c r="A2" t="str"><v>PAL-001</v></c><c r="B2" s="1"><v>-2</v></c></row>' +
+    '<row r="3"><c r="A3" t="str"><v>PAL-002</v></c><c r="B3" s="1"><v>4</v></c></row>' +
+    '</sheetData><autoFilter ref="A1:B3"/><ignoredErrors/></worksheet>';
+  const rows = [['Pallet', 'Variance'], ['PAL-001', -2], ['PAL-002', 4]];
+  
+  TestRunner.it('should add a header style and variance highlights', () => {
+    const styles = addReportStyles(stylesXml);
+    
+    TestRunner.assertEqual(styles.headerStyle, 2, 'Header style follows the existing cell formats');
+    TestRunner.assert(styles.xml.includes('<fonts count="2">') && styles.xml.includes('<b/>'), 'Bold font added');
+    TestRunner.assert(styles.xml.includes('<fills count="3">'), 'Header fill added');
+    TestRunner.assert(styles.xml.includes('<dxfs count="2">'), 'Over and under highlights');
+  });
+  
+  TestRunner.it('should freeze the header row, style it and colour variances', () => {
+    const styles = addReportStyles(stylesXml);
+    const xml = formatSheetXml(sheetXml, { rows, variance: [1] }, styles);
+    
+    TestRunner.assert(xml.includes('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'), 'Header row frozen');
+    TestRunner.assert(xml.includes('<c r="A1" s="2" t="str">') && xml.includes('<c r="B1" s="2" t="str">'), 'Header cells styled');
+    TestRunner.assert(xml.includes('<c r="B2" s="1">'), 'Data cells keep their number format');
+    TestRunner.assert(xml.includes('<conditionalFormatting sqref="B2:B3">'), 'Variance column coloured');
+    TestRunner.assert(xml.indexOf('<conditionalFormatting') < xml.indexOf('<ignoredErrors'), 'Placed in schema order');
+    TestRunner.assertEqual(formatSheetXml(sheetXml, { rows, headerRow: null }, styles), sheetXml, 'Sheets without a header are left alone');
+  });
+  
+  TestRunner.it('should type dates, numbers and column letters', () => {
+    TestRunner.assertEqual(toExcelDate('2024-03-01').getDate(), 1, 'Day-only date in local time');
+    TestRunner.assert(toExcelDate('2024-03-01T10:00:00Z') instanceof Date, 'ISO timestamp');
+    TestRunner.assertEqual(toExcelDate('not a date'), 'not a date');
+    TestRunner.assertEqual(excelNumber(0.985, EXCEL_FORMATS.percent).z, '0.00%');
+    TestRunner.assertArrayEqual([0, 25, 26, 701].map(columnLetter), ['A', 'Z', 'AA', 'ZZ']);
+  });
+});
+
+
+// ==========================================
+// TESTS: USERS & ROLES
+// ==========================================
+
+TestRunner.describe('Users & Roles', () => {
+  
+  const user = (role, active = true) => ({ userId: 'USER-01', role, active });
+  
+  TestRunner.it('should grant permissions by role', () => {
+    TestRunner.assert(hasPermission(user('operator'), 'count'), 'Operators count');
+    TestRunner.assert(!hasPermission(user('operator'), 'review'), 'Operators cannot approve');
+    TestRunner.assert(!hasPermission(user('operator'), 'view_audit'), 'Operators cannot open the owner panel');
+    TestRunner.assert(hasPermission(user('supervisor'), 'review'), 'Supervisors approve');
+    TestRunner.assert(!hasPermission(user('supervisor'), 'clear_data'), 'Supervisors cannot clear data');
+    TestRunner.assert(hasPermission(user('admin'), 'clear_data'), 'Admins clear data');
+    TestRunner.assert(!hasPermission(user('admin', false), 'count'), 'Inactive users have no permissions');
+    TestRunner.assert(!hasPermission(null, 'count'), 'Nobody signed in has no permissions');
+  });
+  
+  TestRunner.it('should accept only 4 to 8 digit PINs', () => {
+    TestRunner.assert(isValidPin('1234'), '4 digits');
+    TestRunner.assert(isValidPin('12345678'), '8 digits');
+    TestRunner.assert(!isValidPin('123'), 'Too short');
+    TestRunner.assert(!isValidPin('123456789'), 'Too long');
+    TestRunner.assert(!isValidPin('12a4'), 'Digits only');
+  });
+  
+  TestRunner.it('should lock a user out after repeated wrong PINs', () => {
+    let time = 1000;
+    const guard = createSignInGuard({ maxAttempts: 3, lockoutMs: 60000, now: () => time });
+    
+    TestRunner.assertEqual(guard.recordFailure('op-1'), 2, 'Two attempts left');
+    guard.recordFailure('OP-1');
+    TestRunner.assert(!guard.isLocked('OP-1'), 'Not locked before the limit');
+    TestRunner.assertEqual(guard.recordFailure('OP-1'), 0, 'No attempts left');
+    TestRunner.assert(guard.isLocked('op-1'), 'Locked at the limit (IDs are case-insensitive)');
+    TestRunner.assert(!guard.isLocked('OP-2'), 'Other users are unaffected');
+    time += 60001;
+    TestRunner.assert(!guard.isLocked('OP-1'), 'Lockout expires');
+    TestRunner.assertEqual(guard.recordFailure('OP-1'), 2, 'Attempts restart after lockout');
+    guard.recordSuccess('OP-1');
+    TestRunner.assertEqual(guard.recordFailure('OP-1'), 2, 'Success clears failures');
+  });
+  
+  TestRunner.it('should keep a lockout across a reload', () => {
+    let time = 1000;
+    const stored = {};
+    const onChange = (userId, entry) => {
+      if (entry) stored[userId] = { userId: userId, count: entry.count, lockedUntil: entry.lockedUntil };
+      else delete stored[userId];
+    };
+    const guard = createSignInGuard({ maxAttempts: 2, lockoutMs: 60000, now: () => time, onChange });
+    guard.recordFailure('op-1');
+    guard.recordFailure('OP-1');
+    TestRunner.assertEqual(stored['OP-1'].lockedUntil, 61000, 'Lockout is passed on to be stored');
+    
+    const reloaded = createSignInGuard({ maxAttempts: 2, lockoutMs: 60000, now: () => time });
+    reloaded.restore(Object.values(stored));
+    TestRunner.assert(reloaded.isLocked('OP-1'), 'Stored lockout still applies');
+    
+    guard.recordFailure('OP-2');
+    const again = createSignInGuard({ maxAttempts: 2, lockoutMs: 60000, now: () => time });
+    again.restore(Object.values(stored));
+    TestRunner.assertEqual(again.recordFailure('OP-2'), 0, 'Stored failures still count');
+    
+    guard.recordSuccess('OP-2');
+    TestRunner.assert(!stored['OP-2'], 'Sign-in clears the stored entry');
+    TestRunner.assert(validateRecord(SignInAttemptsSchema, { ...stored['OP-1'], updatedAt: '2024-01-15T08:00:00Z' }).isValid, 'Stored entries match the schema');
+  });
+  
+  TestRunner.it('should store only a PIN hash for users', () => {
+    const record = { userId: 'OP-01', displayName: 'Alex', role: 'operator', pinHash: 'ab'.repeat(32), pinSalt: 'cd'.repeat(16), pinIterations: 100000, createdAt: '2024-01-15T08:00:00Z', updatedAt: '2024-01-15T08:00:00Z' };
+    const result = validateRecord(UsersSchema, record);
+    
+    TestRunner.assert(result.isValid, 'User record should be valid');
+    TestRunner.assertEqual(result.record.active, true, 'Users are active by default');
+    TestRunner.assert(!('pin' in UsersSchema), 'Schema has no plain PIN field');
+    TestRunner.assert(!validateRecord(UsersSchema, { ...record, userId: 'op 01' }).isValid, 'User IDs are upper case without spaces');
+    TestRunner.assert(!validateRecord(UsersSchema, { ...record, role: 'owner' }).isValid, 'Unknown roles are rejected');
+  });
+});
+
+// ==========================================
+// TESTS: ENCRYPTION AT REST
+// ==========================================
+
+TestRunner.describe('Encryption at Rest', () => {
+  
+  TestRunner.it('should encrypt inventory, sessions, counts and the audit log', () => {
+    ['InventoryImport', 'CountSessions', 'CountActions', 'AuditLog', 'SessionSignatures'].forEach(name => {
+      TestRunner.assert(STORE_DEFINITIONS[name].encrypted, name + ' should be encrypted');
+    });
+    TestRunner.assert(!STORE_DEFINITIONS.KeyVault.encrypted, 'Vault parameters are needed before unlocking');
+  });
+  
+  TestRunner.it('should require a passphrase of at least 8 characters', () => {
+    TestRunner.assert(!isValidPassphrase('1234567'), 'Too short');
+    TestRunner.assert(isValidPassphrase('correct horse'), 'Long enough');
+    TestRunner.assert(!isValidPassphrase(undefined), 'Missing');
+  });
+  
+  TestRunner.it('should lock once after the inactivity timeout', () => {
+    let time = 0;
+    let locks = 0;
+    const idle = createIdleLock({ timeoutMs: 60000, onLock: () => locks++, now: () => time });
+    
+    time = 59000;
+    TestRunner.assert(!idle.check(), 'Not locked before the timeout');
+    idle.touch();
+    time = 118000;
+    TestRunner.assert(!idle.check(), 'Activity restarts the timer');
+    time = 119000;
+    TestRunner.assert(idle.check(), 'Locked after the timeout');
+    idle.check();
+    TestRunner.assertEqual(locks, 1, 'Lock fires once');
+  });
+  
+  TestRunner.it('should keep only key derivation parameters in the vault record', () => {
+    const vault = { vaultId: 'device', kdf: 'PBKDF2-SHA-256', salt: 'ab'.repeat(16), iterations: 600000, check: { iv: 'cd'.repeat(12), data: 'AAAA' }, createdAt: '2026-02-01T10:00:00Z' };
+    
+    TestRunner.assert(validateRecord(KeyVaultSchema, vault).isValid, 'Vault record should be valid');
+    TestRunner.assert(!Object.keys(KeyVaultSchema).some(field => /key|passphrase/i.test(field)), 'No key or passphrase field');
+    TestRunner.assert(!validateRecord(KeyVaultSchema, { ...vault, salt: 'short' }).isValid, 'Salt must be 16 random bytes');
+  });
+});
+
 // ==========================================
 // TESTS: AUDIT LOGGING
 // ==========================================
@@ -321,6 +1805,153 @@ TestRunner.describe('Audit Logging', () => {
   });
 });
 
+// ==========================================
+// TESTS: AUDIT CHAIN
+// ==========================================
+
+TestRunner.describe('Audit Chain', () => {
+  
+  // WebCrypto is async, so these tests stand in the canonical payload for the hash
+  const buildChain = (actions) => actions.reduce((chain, action, i) => {
+    const entry = {
+      logId: 'LOG-' + (i + 1),
+      seq: i + 1,
+      timestamp: '2026-02-01T10:0' + i + ':00Z',
+      sessionId: 'SES-1',
+      user: 'USER',
+      userId: 'OP-01',
+      action: action,
+      details: { step: i + 1 },
+      prevHash: i === 0 ? GENESIS_HASH : chain[i - 1].hash
+    };
+    return [...chain, { ...entry, hash: auditEntryPayload(entry) }];
+  }, []);
+  const hashesOf = (entries) => Object.fromEntries(entries.map(e => [e.logId, auditEntryPayload(e)]));
+  
+  TestRunner.it('should verify an intact chain', () => {
+    const chain = buildChain(['Data imported', 'Session started', 'Pallet counted']);
+    const result = findChainBreak(chain, hashesOf(chain));
+    
+    TestRunner.assert(result.valid, 'Chain should be intact');
+    TestRunner.assertEqual(result.checked, 3, 'Should check every entry');
+    TestRunner.assertEqual(result.headHash, chain[2].hash, 'Head is the last entry hash');
+    TestRunner.assertEqual(lastChainedEntry(chain).logId, 'LOG-3', 'Last entry by sequence');
+  });
+  
+  TestRunner.it('should pinpoint an entry edited after it was written', () => {
+    const chain = buildChain(['Data imported', 'Pallet counted', 'Session submitted']);
+    chain[1] = { ...chain[1], details: { step: 2, counted: 99 } };
+    const result = findChainBreak(chain, hashesOf(chain));
+    
+    TestRunner.assert(!result.valid, 'Chain should be broken');
+    TestRunner.assertEqual(result.brokenAt.seq, 2, 'Edited entry is reported');
+    TestRunner.assertEqual(result.brokenAt.action, 'Pallet counted', 'Action is reported');
+    TestRunner.assertEqual(result.checked, 1, 'Entries before it are intact');
+  });
+  
+  TestRunner.it('should detect deleted, duplicated and relinked entries', () => {
+    const chain = buildChain(['A', 'B', 'C', 'D']);
+    
+    const deleted = chain.filter(e => e.seq !== 2);
+    TestRunner.assertEqual(findChainBreak(deleted, hashesOf(deleted)).brokenAt.seq, 3, 'Gap after a deleted entry');
+    
+    const duplicated = [...chain, chain[1]];
+    TestRunner.assert(!findChainBreak(duplicated, hashesOf(duplicated)).valid, 'Duplicate sequence numbers break the chain');
+    
+    // Renumbering after a deletion still fails the prevHash link
+    const relinked = [chain[0], { ...chain[2], seq: 2 }, { ...chain[3], seq: 3 }];
+    const result = findChainBreak(relinked, hashesOf(relinked));
+    TestRunner.assertEqual(result.brokenAt.seq, 2, 'Relinked entry is reported');
+    TestRunner.assert(result.reason.includes('Previous-entry hash'), 'Reason names the broken link');
+  });
+  
+  TestRunner.it('should skip entries written before the chain existed', () => {
+    const legacy = { logId: 'OLD-1', timestamp: '2026-01-01T09:00:00Z', user: 'SYSTEM', action: 'Data imported' };
+    const chain = buildChain(['Session started']);
+    const result = findChainBreak([legacy, ...chain], hashesOf(chain));
+    
+    TestRunner.assert(result.valid, 'Legacy entries do not break the chain');
+    TestRunner.assertEqual(result.unchained, 1, 'Legacy entries are counted');
+    TestRunner.assertEqual(lastChainedEntry([legacy]), null, 'No chained entry yet');
+  });
+  
+  TestRunner.it('should hash the same entry the same way after export', () => {
+    const entry = buildChain(['Pallet counted'])[0];
+    const reimported = JSON.parse(JSON.stringify({ ...entry, details: { step: 1 }, extra: 'ignored' }));
+    
+    TestRunner.assertEqual(auditEntryPayload(reimported), auditEntryPayload(entry), 'Payload survives a JSON round trip');
+    TestRunner.assertEqual(canonicalJson({ b: 1, a: [2, { d: 3, c: 4 }] }), '{"a":[2,{"c":4,"d":3}],"b":1}', 'Keys are sorted at every level');
+    TestRunner.assert(validateRecord(AuditLogSchema, { ...entry, hash: 'a'.repeat(64), prevHash: GENESIS_HASH }).isValid, 'Chained entries pass the schema');
+    TestRunner.assert(!validateRecord(AuditLogSchema, { ...entry, seq: undefined }).isValid, 'New entries need a sequence number');
+  });
+});
+
+// ==========================================
+// TESTS: SIGNED SUBMISSIONS
+// ==========================================
+
+TestRunner.describe('Signed Submissions', () => {
+  
+  const session = { sessionId: 'SES-1', location: 'A', bins: ['A-01'], status: 'submitted', userId: 'OP-01' };
+  const action = (actionId, palletId, timestamp, countedQuantity, variance) => ({
+    actionId, sessionId: 'SES-1', palletId, timestamp, version: 1, countedQuantity, variance, userId: 'OP-01', status: 'counted'
+  });
+  const actions = [
+    action('ACT-2', 'PAL-002', '2026-02-01T10:05:00Z', 8, -2),
+    action('ACT-1', 'PAL-001', '2026-02-01T10:00:00Z', 10, 0)
+  ];
+  const payload = buildSubmissionPayload({ session, actions, auditHeadHash: 'a'.repeat(64), signedBy: 'OP-01', signedAt: '2026-02-01T10:10:00Z' });
+  // Signature values are placeholders; the ECDSA round trip needs async WebCrypto
+  const signed = {
+    sessionId: 'SES-1', signedBy: 'OP-01', signedAt: payload.signedAt, algorithm: SIGNATURE_ALGORITHM,
+    keyId: 'b'.repeat(64), publicKey: { kty: 'EC', crv: 'P-256', x: 'xx', y: 'yy' },
+    payload, payloadDigest: 'c'.repeat(64), signature: 'd'.repeat(128)
+  };
+  
+  TestRunner.it('should build the same payload regardless of action order', () => {
+    const reordered = buildSubmissionPayload({ session, actions: actions.slice().reverse(), auditHeadHash: 'a'.repeat(64), signedBy: 'OP-01', signedAt: payload.signedAt });
+    
+    TestRunner.assertEqual(payload.actions[0].actionId, 'ACT-1', 'Actions sorted by time');
+    TestRunner.assertEqual(canonicalJson(reordered), canonicalJson(payload), 'Canonical payload is stable');
+    TestRunner.assertEqual(payload.format, SUBMISSION_FORMAT, 'Payload names its format');
+  });
+  
+  TestRunner.it('should round-trip a signature through the Excel sheet', () => {
+    const big = { ...signed, payload: { ...payload, session: { ...session, notes: 'x'.repeat(70000) } } };
+    const rows = signatureSheetRows(big);
+    const restored = readSignatureSheet(rows);
+    
+    TestRunner.assertEqual(rows.filter(r => r[0] === 'Signed Payload').length, 3, 'Payload split to fit Excel cells');
+    TestRunner.assert(rows.every(r => String(r[1] || '').length <= 32767), 'No cell over the Excel limit');
+    TestRunner.assertEqual(canonicalJson(restored.payload), canonicalJson(big.payload), 'Payload restored');
+    TestRunner.assertEqual(restored.signature, signed.signature, 'Signature restored');
+    TestRunner.assertEqual(readSignatureSheet([['Cycle Count Report']]), null, 'Unsigned report has no signature');
+  });
+  
+  TestRunner.it('should find report rows that differ from the signed counts', () => {
+    const history = [
+      ['Action ID', 'Pallet ID', 'Counted Qty', 'Variance', 'User', 'Status'],
+      ['ACT-1', 'PAL-001', 10, 0, 'OP-01', 'counted'],
+      ['ACT-2', 'PAL-002', 8, -2, 'OP-01', 'counted']
+    ];
+    TestRunner.assertEqual(findReportChanges(payload, history).length, 0, 'Unchanged report matches');
+    
+    const edited = history.map(row => row.slice());
+    edited[2][2] = 10;
+    edited[2][3] = 0;
+    TestRunner.assertEqual(findReportChanges(payload, edited).length, 2, 'Edited quantity and variance reported');
+    TestRunner.assert(findReportChanges(payload, history.slice(0, 2))[0].includes('missing'), 'Deleted row reported');
+  });
+  
+  TestRunner.it('should find signatures in JSON exports', () => {
+    TestRunner.assertEqual(findSignedSubmissions({ signatures: [signed] }).length, 1, 'Full data export');
+    TestRunner.assertEqual(findSignedSubmissions(signed).length, 1, 'Single signature record');
+    TestRunner.assertEqual(findSignedSubmissions({ auditLog: [] }).length, 0, 'Export without signatures');
+    TestRunner.assert(validateRecord(SessionSignaturesSchema, { signatureId: 'SIG-1', ...signed }).isValid, 'Signature record passes the schema');
+    TestRunner.assert(!validateRecord(SessionSignaturesSchema, { signatureId: 'SIG-1', ...signed, signature: 'zz' }).isValid, 'Malformed signature rejected');
+  });
+});
+
 // ==========================================
 // TESTS: SESSION METRICS
 // ==========================================
@@ -391,6 +2022,52 @@ TestRunner.describe('Session Metrics', () => {
   });
 });
 
+// ==========================================
+// TESTS: LOCAL PERSISTENCE
+// ==========================================
+
+TestRunner.describe('Local Persistence', () => {
+  
+  TestRunner.it('should map spreadsheet rows to InventoryImport records and back', () => {
+    const row = { Location: 'Area-A', Bin: 'A-1', PalletID: 'PAL-001', ItemNumber: 'SKU-1001', SystemQuantity: '50', UOM: 'Box' };
+    const record = toInventoryRecord(row, 'IMP-1', '2026-02-01T10:00:00Z');
+    
+    TestRunner.assertEqual(record.palletId, 'PAL-001', 'Should map PalletID');
+    TestRunner.assertEqual(record.systemQuantity, 50, 'Should parse quantity as a number');
+    TestRunner.assertEqual(record.importBatch, 'IMP-1', 'Should stamp import batch');
+    TestRunner.assert(typeof record.id === 'string' && record.id.length === 36, 'Should assign a UUID');
+    
+    const restored = fromInventoryRecord(record);
+    TestRunner.assertEqual(restored.PalletID, 'PAL-001', 'Should restore PalletID');
+    TestRunner.assertEqual(restored.UOM, 'Box', 'Should restore UOM');
+  });
+  
+  TestRunner.it('should restore inventory in import order, not key order', () => {
+    const rows = ['PAL-003', 'PAL-001', 'PAL-002'].map(id => ({ Location: 'Area-A', Bin: 'A-1', PalletID: id, ItemNumber: 'SKU-1001', SystemQuantity: 1 }));
+    const records = rows.map((row, i) => toInventoryRecord(row, 'IMP-1', '2026-02-01T10:00:00Z', i));
+    const byKey = records.slice().sort((a, b) => a.id.localeCompare(b.id));
+    
+    TestRunner.assertEqual(records[2].rowIndex, 2, 'Should stamp the row position');
+    TestRunner.assertArrayEqual(sortInventoryRecords(byKey).map(r => r.palletId), ['PAL-003', 'PAL-001', 'PAL-002']);
+    TestRunner.assert(validateRecord(InventoryImportSchema, records[0]).isValid, 'rowIndex 0 is valid');
+    
+    const legacy = { ...records[0], rowIndex: undefined };
+    TestRunner.assertEqual(sortInventoryRecords([legacy, records[1]])[1], legacy, 'Records without rowIndex go last');
+  });
+  
+  TestRunner.it('should find the latest in-progress session to resume', () => {
+    const sessions = [
+      { sessionId: 'SES-1', status: 'in-progress', startTime: 1000 },
+      { sessionId: 'SES-2', status: 'submitted', startTime: 3000 },
+      { sessionId: 'SES-3', status: 'in-progress', startTime: 2000 }
+    ];
+    
+    TestRunner.assertEqual(findResumableSession(sessions).sessionId, 'SES-3', 'Should pick most recent in-progress session');
+    TestRunner.assertEqual(findResumableSession([sessions[1]]), null, 'Should return null when nothing to resume');
+    TestRunner.assertEqual(findResumableSession([...sessions, { sessionId: 'SES-4', status: 'paused', startTime: 2500 }]).sessionId, 'SES-4', 'Paused sessions can be resumed');
+  });
+});
+
 // ==========================================
 // TESTS: DATE/TIME FORMATTING
 // ==========================================
@@ -0,0 +1,249 @@
+/**
+ * Secure Bin Cycle Count - Encryption at Rest
+ *
+ * Derives an AES-GCM key from the device passphrase (PBKDF2, Web Crypto)
+ * and uses it to encrypt stored records and backup files. The key is held
+ * in memory only while the app is unlocked; the passphrase is never stored.
+ */
+
+// ==========================================
+// KEY DERIVATION
+// ==========================================
+
+const VAULT_ID = 'device';
+
+const VAULT_DEFAULTS = {
+  iterations: 600000,           // PBKDF2-SHA-256 rounds for the passphrase
+  minPassphraseLength: 8,
+  autoLockMs: 5 * 60 * 1000     // lock after this long without input
+};
+
+/** Known text encrypted with the key, to tell a wrong passphrase apart */
+const VAULT_CHECK_TEXT = 'secure-bin-cycle-count';
+
+function isValidPassphrase(passphrase) {
+  return typeof passphrase === 'string' && passphrase.length >= VAULT_DEFAULTS.minPassphraseLength;
+}
+
+function randomHex(byteCount) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(byteCount)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+}
+
+/**
+ * Derives a non-extractable AES-GCM-256 key from a passphrase
+ */
+async function deriveVaultKey(passphrase, salt, iterations = VAULT_DEFAULTS.iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: hexBytes(salt), iterations: iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// ==========================================
+// ENCRYPTION
+// ==========================================
+
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Encrypts a JSON value. context is authenticated but not encrypted, so a
+ * ciphertext only decrypts in the place it was written for.
+ * Returns { iv, data } (hex IV, base64 ciphertext).
+ */
+async function encryptJson(key, value, context = '') {
+  const iv = randomHex(12);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: hexBytes(iv), additionalData: new TextEncoder().encode(context) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv: iv, data: toBase64(data) };
+}
+
+/**
+ * Decrypts encryptJson output. Rejects if the key or context is wrong or
+ * the ciphertext was altered.
+ */
+async function decryptJson(key, sealed, context = '') {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: hexBytes(sealed.iv), additionalData: new TextEncoder().encode(context) },
+    key,
+    fromBase64(sealed.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// ==========================================
+// DEVICE VAULT
+// ==========================================
+
+/**
+ * Sets up a new passphrase. Returns the KeyVault record to store and the
+ * unlocked key.
+ */
+async function createVault(passphrase) {
+  const salt = randomHex(16);
+  const key = await deriveVaultKey(passphrase, salt);
+  return {
+    key: key,
+    vault: {
+      vaultId: VAULT_ID,
+      kdf: 'PBKDF2-SHA-256',
+      salt: salt,
+      iterations: VAULT_DEFAULTS.iterations,
+      check: await encryptJson(key, VAULT_CHECK_TEXT, VAULT_ID),
+      createdAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Resolves with the key for a KeyVault record, or null for a wrong passphrase
+ */
+async function unlockVault(vault, passphrase) {
+  const key = await deriveVaultKey(passphrase, vault.salt, vault.iterations);
+  try {
+    return (await decryptJson(key, vault.check, VAULT_ID)) === VAULT_CHECK_TEXT ? key : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Record cipher for CycleCountStore.setCipher(). The key path and indexed
+ * fields stay in the clear so lookups keep working; the whole record is
+ * encrypted into `sealed`, bound to its store and key.
+ */
+function createRecordCipher(key, definitions) {
+  const context = (storeName, record) => storeName + ':' + record[definitions[storeName].keyPath];
+  return {
+    async seal(storeName, record) {
+      const def = definitions[storeName];
+      const stored = {};
+      [def.keyPath, ...def.indexes].forEach(field => {
+        if (record[field] !== undefined) stored[field] = record[field];
+      });
+      stored.sealed = await encryptJson(key, record, context(storeName, record));
+      return stored;
+    },
+    open(storeName, stored) {
+      return decryptJson(key, stored.sealed, context(storeName, stored));
+    }
+  };
+}
+
+// ==========================================
+// BACKUP FILES
+// ==========================================
+
+const BACKUP_FORMAT = 'cycle-count-backup/1';
+
+/**
+ * Encrypts a data export under its own passphrase. Everything needed to
+ * decrypt it, other than the passphrase, travels in the file.
+ */
+async function encryptBackup(data, passphrase) {
+  const salt = randomHex(16);
+  const key = await deriveVaultKey(passphrase, salt);
+  return {
+    format: BACKUP_FORMAT,
+    createdAt: new Date().toISOString(),
+    kdf: { name: 'PBKDF2-SHA-256', salt: salt, iterations: VAULT_DEFAULTS.iterations },
+    cipher: 'AES-GCM-256',
+    ...(await encryptJson(key, data, BACKUP_FORMAT))
+  };
+}
+
+/**
+ * Decrypts an encrypted backup. Rejects for a wrong passphrase.
+ */
+async function decryptBackup(backup, passphrase) {
+  if (backup.format !== BACKUP_FORMAT) throw new Error('Not an encrypted cycle count backup');
+  const key = await deriveVaultKey(passphrase, backup.kdf.salt, backup.kdf.iterations);
+  try {
+    return await decryptJson(key, backup, BACKUP_FORMAT);
+  } catch (err) {
+    throw new Error('Wrong passphrase or damaged backup file');
+  }
+}
+
+// ==========================================
+// AUTO-LOCK
+// ==========================================
+
+/**
+ * Tracks user activity and calls onLock once nothing has happened for
+ * timeoutMs. The app calls touch() on input and check() on a timer.
+ */
+function createIdleLock({ timeoutMs, onLock, now } = {}) {
+  const limit = timeoutMs || VAULT_DEFAULTS.autoLockMs;
+  const clock = now || (() => Date.now());
+  let lastActivity = clock();
+  let locked = false;
+
+  return {
+    touch: () => { lastActivity = clock(); },
+    check: () => {
+      if (locked || clock() - lastActivity < limit) return false;
+      locked = true;
+      onLock();
+      return true;
+    },
+    idleMs: () => clock() - lastActivity
+  };
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VAULT_ID,
+    VAULT_DEFAULTS,
+    isValidPassphrase,
+    deriveVaultKey,
+    encryptJson,
+    decryptJson,
+    createVault,
+    unlockVault,
+    createRecordCipher,
+    BACKUP_FORMAT,
+    encryptBackup,
+    decryptBackup,
+    createIdleLock
+  };
+}
+
+// ==========================================
+// COMMAND LINE
+// ==========================================
+
+// Decrypts a backup file to stdout; the passphrase is read from the
+// BACKUP_PASSPHRASE environment variable so it stays out of shell history:
+//   BACKUP_PASSPHRASE=... node vault.js backup.json > export.json
+if (typeof require === 'function' && typeof module !== 'undefined' && require.main === module && process.argv[2]) {
+  const backup = JSON.parse(require('fs').readFileSync(process.argv[2], 'utf8'));
+  decryptBackup(backup, process.env.BACKUP_PASSPHRASE || '')
+    .then(data => console.log(JSON.stringify(data, null, 2)))
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
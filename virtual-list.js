@@ -0,0 +1,130 @@
+/**
+ * Secure Bin Cycle Count - Virtual List
+ *
+ * Renders only the rows of a long list that are in view, plus a few either
+ * side, with spacers standing in for the rest. Used for the pallet rail and
+ * the review table, which can hold tens of thousands of pallets. Rows must
+ * all have the same size (itemSize, in pixels).
+ */
+
+// ==========================================
+// VISIBLE RANGE
+// ==========================================
+
+/** Rows rendered beyond each edge of the viewport */
+const VIRTUAL_OVERSCAN = 8;
+
+/**
+ * The rows to render for a scroll position: [start, end) plus the space
+ * the rows before and after take up
+ */
+function getVisibleRange({ scrollOffset, viewportSize, itemSize, itemCount, overscan = VIRTUAL_OVERSCAN }) {
+  const first = Math.floor(Math.max(0, scrollOffset) / itemSize);
+  const visible = Math.ceil(viewportSize / itemSize) + 1;
+  const start = Math.max(0, Math.min(itemCount, first - overscan));
+  const end = Math.min(itemCount, first + visible + overscan);
+  return {
+    start: start,
+    end: Math.max(start, end),
+    before: start * itemSize,
+    after: (itemCount - Math.max(start, end)) * itemSize
+  };
+}
+
+/**
+ * Scroll offset that brings a row into view, or the current offset when
+ * it already is
+ */
+function scrollOffsetFor(index, { scrollOffset, viewportSize, itemSize }) {
+  const top = index * itemSize;
+  if (top < scrollOffset) return top;
+  if (top + itemSize > scrollOffset + viewportSize) return top + itemSize - viewportSize;
+  return scrollOffset;
+}
+
+// ==========================================
+// DOM
+// ==========================================
+
+/**
+ * Keeps `target` filled with the visible rows of a list that scrolls in
+ * `scroller` (the same element for the rail; the wrapper around a table for
+ * the review table). renderItem(index) and renderSpacer(size) return HTML;
+ * each rendered row carries a data-virtual-index attribute.
+ * itemSize is a first guess: once rows are on screen their real spacing
+ * (borders included) is measured, so the spacers stay exact for long lists.
+ * Returns { setItems(count, renderItem), refresh(), scrollToIndex(index) }.
+ */
+function createVirtualList({ scroller, target, itemSize, horizontal = false, renderSpacer, fallbackViewport = 800 }) {
+  let count = 0;
+  let render = () => '';
+  let frame = null;
+  let lastRange = null;
+  let measured = false;
+
+  const viewport = () => (horizontal ? scroller.clientWidth : scroller.clientHeight) || fallbackViewport;
+  const offset = () => (horizontal ? scroller.scrollLeft : scroller.scrollTop);
+
+  function refresh(force = true) {
+    const range = getVisibleRange({ scrollOffset: offset(), viewportSize: viewport(), itemSize: itemSize, itemCount: count });
+    if (!force && lastRange && range.start === lastRange.start && range.end === lastRange.end) return;
+    lastRange = range;
+    let html = range.before > 0 ? renderSpacer(range.before) : '';
+    for (let i = range.start; i < range.end; i++) html += render(i);
+    if (range.after > 0) html += renderSpacer(range.after);
+    target.innerHTML = html;
+    if (!measured) measure();
+  }
+
+  function measure() {
+    const rows = target.querySelectorAll('[data-virtual-index]');
+    if (rows.length < 2) return;
+    const first = rows[0].getBoundingClientRect();
+    const last = rows[rows.length - 1].getBoundingClientRect();
+    const size = (horizontal ? last.left - first.left : last.top - first.top) / (rows.length - 1);
+    if (!(size > 0)) return;
+    measured = true;
+    if (Math.abs(size - itemSize) > 0.01) {
+      itemSize = size;
+      refresh();
+    }
+  }
+
+  scroller.addEventListener('scroll', () => {
+    if (frame !== null) return;
+    const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : callback => setTimeout(callback, 16);
+    frame = schedule(() => {
+      frame = null;
+      refresh(false);
+    });
+  }, { passive: true });
+
+  return {
+    setItems(itemCount, renderItem) {
+      count = itemCount;
+      render = renderItem;
+      refresh();
+    },
+    refresh: refresh,
+    scrollToIndex(index) {
+      const next = scrollOffsetFor(index, { scrollOffset: offset(), viewportSize: viewport(), itemSize: itemSize });
+      if (next === offset()) return;
+      if (horizontal) scroller.scrollLeft = next;
+      else scroller.scrollTop = next;
+      refresh(false);
+    }
+  };
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VIRTUAL_OVERSCAN,
+    getVisibleRange,
+    scrollOffsetFor,
+    createVirtualList
+  };
+}